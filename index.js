@@ -5,6 +5,9 @@ const path = require('path');
 const Utils = require('./lib/utils');
 const ComponentJSBundler = require('./lib/js-bundler');
 const TailwindCompiler = require('./lib/tailwind-compiler');
+const AssetManifest = require('./lib/asset-manifest');
+const AssetTags = require('./lib/asset-tags');
+const ComponentRenderer = require('./lib/component-renderer');
 const ModeFactory = require('./lib/mode-factory');
 const Banner = require('./lib/banner');
 const chalk = require('chalk');
@@ -32,9 +35,18 @@ class ThemeBuilder {
     // 初始化主题配置
     this.loadThemeConfig();
 
+    // 初始化构建清单，所有构建管线共享同一实例
+    this.assetManifest = AssetManifest.fromHexo(hexo);
+
     // 初始化构建器组件
-    this.jsBundler = new ComponentJSBundler(hexo);
-    this.tailwindCompiler = new TailwindCompiler(hexo);
+    this.jsBundler = new ComponentJSBundler(hexo, {
+      manifest: this.assetManifest,
+      hmr: this.isServerMode(),
+      cache: this.isServerMode(),
+      legacy: !this.isServerMode(),
+      mode: this.currentMode
+    });
+    this.tailwindCompiler = new TailwindCompiler(hexo, { manifest: this.assetManifest });
     this.banner = new Banner();
 
     // 绑定方法到实例
@@ -221,6 +233,9 @@ class ThemeBuilder {
                   this.logWarning(`TailwindCSS编译未成功（${this.currentMode}模式）`);
       }
 
+      // 写入构建清单
+      this.saveAssetManifest();
+
       this.hasCompiled = true;
       
               // 为不同模式提供不同的完成信息
@@ -295,6 +310,8 @@ class ThemeBuilder {
         return false;
       }
 
+      this.saveAssetManifest();
+
       // 更新编译状态（部分编译）
       this.hasCompiled = true;
       
@@ -340,6 +357,8 @@ class ThemeBuilder {
         return false;
       }
 
+      this.saveAssetManifest();
+
       // 更新编译状态（部分编译）
       this.hasCompiled = true;
       
@@ -352,43 +371,35 @@ class ThemeBuilder {
     }
   }
 
+  // 写入构建清单 goose-manifest.json
+  saveAssetManifest() {
+    try {
+      const manifestPath = this.assetManifest.save();
+      this.logDebug(`构建清单已更新: ${path.relative(this.hexo.theme_dir, manifestPath)}`);
+    } catch (error) {
+      this.logError('写入构建清单失败:', error);
+    }
+  }
+
   // 验证编译后的资源文件是否存在
   async verifyCompiledAssets() {
     this.logInfo(`验证编译后的资源文件（${this.currentMode}模式）...`);
     
     try {
-      const cssDir = path.join(this.hexo.theme_dir, 'source/css');
-      const jsDir = path.join(this.hexo.theme_dir, 'source/js');
-      
-      let cssFound = false;
-      let jsFound = false;
-      
-      // 检查CSS文件
-      if (fs.existsSync(cssDir)) {
-        const cssFiles = fs.readdirSync(cssDir);
-        const componentCssFiles = cssFiles.filter(file => {
-          return (
-            file.match(/^components\.styles\.[a-f0-9]{8}\.css$/) ||
-            file.match(/^components\.bundle\.[a-z0-9]{6}\.css$/) ||
-            file.match(/^component\.bundle\.[a-z0-9]{6}\.css$/)
-          );
-        });
-        cssFound = componentCssFiles.length > 0;
-        if (cssFound) {
-          this.logSuccess(`找到CSS文件（${this.currentMode}模式）: ${componentCssFiles.join(', ')}`);
-        }
+      // 以构建清单为准，确认记录的文件确实存在
+      const existingFiles = (type) => this.assetManifest.getFiles({ type })
+        .filter(file => fs.existsSync(this.assetManifest.getAbsolutePath(file)));
+      
+      const componentCssFiles = existingFiles('css');
+      const cssFound = componentCssFiles.length > 0;
+      if (cssFound) {
+        this.logSuccess(`找到CSS文件（${this.currentMode}模式）: ${componentCssFiles.join(', ')}`);
       }
       
-      // 检查JS文件
-      if (fs.existsSync(jsDir)) {
-        const jsFiles = fs.readdirSync(jsDir);
-        const componentJsFiles = jsFiles.filter(file => 
-          file.startsWith('components.') && file.endsWith('.js') && !file.includes('loader')
-        );
-        jsFound = componentJsFiles.length > 0;
-        if (jsFound) {
-          this.logSuccess(`找到JS文件（${this.currentMode}模式）: ${componentJsFiles.join(', ')}`);
-        }
+      const componentJsFiles = existingFiles('js');
+      const jsFound = componentJsFiles.length > 0;
+      if (jsFound) {
+        this.logSuccess(`找到JS文件（${this.currentMode}模式）: ${componentJsFiles.join(', ')}`);
       }
       
       if (!cssFound && !jsFound) {
@@ -425,57 +436,21 @@ class ThemeBuilder {
     this.logInfo(`正在清理${cacheType}编译缓存（${this.currentMode}模式）...`);
     
     try {
-      const themeSourceDir = path.join(this.hexo.theme_dir, 'source');
-      const cssDir = path.join(themeSourceDir, 'css');
-      const jsDir = path.join(themeSourceDir, 'js');
+      // 按构建清单删除编译产物，不影响主题自带的其他文件
+      let filter = {};
+      if (cssOnly) filter = { type: 'css' };
+      if (jsOnly) filter = { type: 'js' };
       
       let clearedCount = 0;
-      
-      // 清理CSS编译文件
-      if (!jsOnly && fs.existsSync(cssDir)) {
-        const cssFiles = fs.readdirSync(cssDir);
-        const compiledCssFiles = cssFiles.filter(file => {
-          return (
-            file.match(/^components\.styles\.[a-f0-9]{8}\.css$/) ||
-            file.match(/^components\.bundle\.[a-z0-9]{6}\.css$/) ||
-            file.match(/^component\.bundle\.[a-z0-9]{6}\.css$/)
-          );
-        });
-        
-        compiledCssFiles.forEach(file => {
-          const filePath = path.join(cssDir, file);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            this.logDebug(`已删除CSS缓存文件: ${file}`);
-            clearedCount++;
-          }
-        });
-      }
-      
-      // 清理JS编译文件
-      if (!cssOnly && fs.existsSync(jsDir)) {
-        const jsFiles = fs.readdirSync(jsDir);
-        const compiledJsFiles = jsFiles.filter(file => {
-          return file.startsWith('components.') && file.endsWith('.js');
-        });
-        
-        compiledJsFiles.forEach(file => {
-          const filePath = path.join(jsDir, file);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            this.logDebug(`已删除JS缓存文件: ${file}`);
-            clearedCount++;
-          }
-        });
-        
-        // 清理组件manifest文件
-        const manifestPath = path.join(jsDir, 'components.manifest.json');
-        if (fs.existsSync(manifestPath)) {
-          fs.unlinkSync(manifestPath);
-          this.logDebug(`已删除组件manifest文件`);
+      this.assetManifest.remove(filter).forEach(file => {
+        const filePath = this.assetManifest.getAbsolutePath(file);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          this.logDebug(`已删除缓存文件: ${file}`);
           clearedCount++;
         }
-      }
+      });
+      this.saveAssetManifest();
       
       // 重置编译状态（仅在完全清理时）
       if (!cssOnly && !jsOnly) {
@@ -547,74 +522,28 @@ class ThemeBuilder {
   }
 
   // 获取资源HTML标签
-  getAssetTags() {
+  // components 为当前页面使用的组件名称列表，未提供时加载全部组件脚本
+  // options.nonce 为 CSP nonce，会写入每个标签
+  getAssetTags(components = null, options = {}) {
     // 如果是不支持的模式，直接返回空数组
     if (!this.isSupportedMode()) {
       return [];
     }
     
-    const tags = [];
+    let tags = [];
     
     try {
-      // 添加组件样式
-      const cssDir = path.join(this.hexo.theme_dir, 'source/css');
-      if (fs.existsSync(cssDir)) {
-        const cssFiles = fs.readdirSync(cssDir);
-        
-        // 获取所有组件相关的CSS文件
-        const componentCssFiles = cssFiles.filter(file => {
-          // 匹配所有可能的组件样式文件命名模式
-          return (
-            file.match(/^components\.styles\.[a-f0-9]{8}\.css$/) ||  // 匹配 components.styles.xxxxxxxx.css
-            file.match(/^components\.bundle\.[a-f0-9]{6}\.css$/) ||  // 匹配 components.bundle.xxxxxx.css
-            file.match(/^component\.bundle\.[a-z0-9]{6}\.css$/)      // 匹配 component.bundle.xxxxxx.css
-          );
-        });
-
-        // 按照文件名排序，确保加载顺序一致
-        componentCssFiles.sort().forEach(file => {
-          this.logDebug(`${this.currentMode}模式加载样式: ${file}`);
-          tags.push(`<link rel="stylesheet" href="/css/${file}">`);
-        });
-        
-        if (componentCssFiles.length === 0) {
-          this.logWarning(`${this.currentMode}模式：未找到编译后的CSS文件`);
-        }
-      } else {
-        this.logWarning(`CSS目录不存在: ${cssDir}`);
-      }
-      
-      // 添加组件脚本
-      const jsDir = path.join(this.hexo.theme_dir, 'source/js');
-      if (fs.existsSync(jsDir)) {
-        const files = fs.readdirSync(jsDir);
-        
-        // 获取所有 components. 开头的 JS 文件
-        const componentFiles = files
-          .filter(file => file.startsWith('components.') && file.endsWith('.js') && !file.includes('loader'))
-          .sort((a, b) => {
-            // 尝试从文件名中提取数字进行排序
-            const getNumber = (filename) => {
-              const match = filename.match(/components\.([^.]+)/);
-              return match ? match[1] : '';
-            };
-            const numA = getNumber(a);
-            const numB = getNumber(b);
-            return numA.localeCompare(numB);
-          });
-        
-        // 添加所有组件脚本，使用type="module"
-        componentFiles.forEach(file => {
-          this.logDebug(`${this.currentMode}模式加载脚本: ${file}`);
-          tags.push(`<script type="module" src="/js/${file}"></script>`);
-        });
-        
-        if (componentFiles.length === 0) {
-          this.logWarning(`${this.currentMode}模式：未找到编译后的JS文件`);
-        }
-      } else {
-        this.logWarning(`JS目录不存在: ${jsDir}`);
-      }
+      const result = new AssetTags(this.assetManifest, {
+        ...AssetManifest.getIntegrityOptions(this.hexo.config),
+        nonce: options.nonce,
+        root: this.hexo.config.root
+      }).render(components);
+      tags = result.tags;
+      
+      result.missing.forEach(name => {
+        this.logWarning(`${this.currentMode}模式：组件 ${name} 不存在于构建清单中，跳过`);
+      });
+      tags.forEach(tag => this.logDebug(`${this.currentMode}模式加载资源: ${tag}`));
       
       if (tags.length === 0) {
         this.logWarning(`未找到任何编译后的资源文件（${this.currentMode}模式），请检查编译是否成功`);
@@ -640,177 +569,59 @@ const themeBuilder = new ThemeBuilder(hexo);
 // 将实例添加到 hexo 对象中供其他模块使用
 hexo.goose_builder = themeBuilder;
 
+// 页面组件渲染，记录每个页面通过 goose_component 使用的组件
+const componentRenderer = new ComponentRenderer(hexo);
+
 // 注册helper用于加载主题资源
-hexo.extend.helper.register('load_theme_assets', () => {
-  const tags = themeBuilder.getAssetTags();
-  
-  // 在服务器模式下自动添加热重载客户端代码
-  if (themeBuilder.isServerMode() && themeBuilder.modeHandler) {
-    const socketInfo = themeBuilder.modeHandler.getSocketConnectionInfo();
-    if (socketInfo.isRunning) {
-      // 生成Socket.IO客户端代码
-      const hotReloadClient = `
-<!-- Theme Builder 热重载客户端 -->
-<script src="https://cdn.socket.io/4.8.1/socket.io.min.js"></script>
-<script>
-(function() {
-  'use strict';
-  
-  // 热重载客户端配置
-  const config = {
-    socketPort: ${socketInfo.port},
-    reconnectDelay: 2000,
-    maxReconnectAttempts: 10,
-    debug: ${themeBuilder.isDebugEnabledSafe()}
-  };
-  
-  let socket = null;
-  let reconnectAttempts = 0;
-  let isReloading = false;
-  
-  // 日志函数
-  function log(message, type = 'info') {
-    if (config.debug) {
-      const prefix = '[Theme Builder Hot Reload]';
-      switch (type) {
-        case 'error':
-          console.error(prefix, message);
-          break;
-        case 'warn':
-          console.warn(prefix, message);
-          break;
-        case 'success':
-          console.log('%c' + prefix + ' ' + message, 'color: #4CAF50');
-          break;
-        default:
-          console.log('%c' + prefix + ' ' + message, 'color: #2196F3');
-      }
-    }
+// components: 当前页面渲染的组件名称（字符串或数组），省略时加载页面通过 goose_component 使用的组件，
+//             页面没有使用 goose_component 时加载全部组件
+// options.nonce: CSP nonce，未提供时依次读取页面局部变量 page.csp_nonce 和 csp_nonce
+hexo.extend.helper.register('load_theme_assets', function(components, options) {
+  // 允许只传入选项：load_theme_assets({ nonce: ... })
+  if (components && typeof components === 'object' && !Array.isArray(components)) {
+    options = components;
+    components = null;
   }
+
+  const componentList = typeof components === 'string' ? [components] : components;
+  const nonce = (options && options.nonce) || (this.page && this.page.csp_nonce) || this.csp_nonce || null;
+  // 未指定组件时页面主体尚未渲染，先输出占位符，整页渲染完成后再替换
+  const tags = Array.isArray(componentList)
+    ? themeBuilder.getAssetTags(componentList, { nonce })
+    : [ComponentRenderer.createPlaceholder({ nonce })];
   
-  // 显示重载通知
-  function showReloadNotification(message) {
-    // 创建通知元素
-    const notification = document.createElement('div');
-    notification.innerHTML = message || '页面正在重新加载...';
-    notification.style.cssText = \`
-      position: fixed;
-      top: 0px;
-      right: 0px;
-      background: #4CAF50;
-      color: white;
-      padding: 5px 15px;
-      border-radius: 2px;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-      z-index: 10000;
-      font-family: "Lato","Arial","Tahoma","Verdana",ui-sans-serif,system-ui,sans-serif;
-      font-size: .8rem;
-      transition: all 0.3s ease;
-    \`;
-    
-    document.body.appendChild(notification);
-    
-    // 3秒后自动移除通知
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.style.opacity = '0';
-        setTimeout(() => {
-          if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-          }
-        }, 300);
-      }
-    }, 3000);
-  }
-  
-  // 连接Socket.IO服务器
-  function connectSocket() {
-    try {
-      log('尝试连接热重载服务...');
-      
-      socket = io(\`http://localhost:\${config.socketPort}\`, {
-        transports: ['websocket', 'polling'],
-        timeout: 5000,
-        forceNew: true
-      });
-      
-      socket.on('connect', function() {
-        reconnectAttempts = 0;
-        log('热重载服务连接成功', 'success');
-      });
-      
-      socket.on('connected', function(data) {
-        log(data.message || '已连接到热重载服务', 'success');
-      });
-      
-      socket.on('theme_reload', function(data) {
-        if (isReloading) return;
-        isReloading = true;
-        
-        log('收到重载通知: ' + (data.message || '资源已更新'), 'success');
-        
-        // 显示通知
-        showReloadNotification(data.message);
-        
-        // 延迟重载，给用户看到通知的时间
-        setTimeout(() => {
-          window.location.reload();
-        }, 1000);
-      });
-      
-      socket.on('server_shutdown', function(data) {
-        log('服务器即将关闭: ' + (data.message || ''), 'warn');
-      });
-      
-      socket.on('disconnect', function(reason) {
-        log('热重载服务连接断开: ' + reason, 'warn');
-        
-        // 如果不是客户端主动断开，尝试重连
-        if (reason !== 'io client disconnect' && reconnectAttempts < config.maxReconnectAttempts) {
-          setTimeout(() => {
-            reconnectAttempts++;
-            log(\`尝试重连 (\${reconnectAttempts}/\${config.maxReconnectAttempts})...\`);
-            connectSocket();
-          }, config.reconnectDelay);
-        }
-      });
-      
-      socket.on('connect_error', function(error) {
-        log('连接错误: ' + error.message, 'error');
-      });
-      
-    } catch (error) {
-      log('初始化Socket连接失败: ' + error.message, 'error');
-    }
-  }
-  
-  // 页面加载完成后连接
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', connectSocket);
-  } else {
-    connectSocket();
-  }
-  
-  // 页面卸载时断开连接
-  window.addEventListener('beforeunload', function() {
-    if (socket) {
-      socket.disconnect();
-    }
-  });
-  
-})();
-</script>`;
-      
-      tags.push(hotReloadClient);
-    }
+  // 在服务器模式下自动添加热重载客户端
+  if (themeBuilder.isServerMode() && themeBuilder.modeHandler) {
+    tags.push(...themeBuilder.modeHandler.getHotReloadClientTags({
+      nonce,
+      debug: themeBuilder.isDebugEnabledSafe()
+    }));
   }
   
   return tags.join('\n');
 });
 
+// 注册helper渲染组件：goose_component(name, props, { tag, load, class })
+hexo.extend.helper.register('goose_component', function(name, props, options) {
+  return componentRenderer.render(this, name, props || {}, options || {});
+});
+
+// 整页渲染完成后按页面使用的组件替换资源占位符，优先于其他 HTML 过滤器执行
+// Hexo 把 after_render:html 过滤器注册到路由渲染阶段（_after_html_render）：每个页面的最终输出只执行一次，
+// 参数为该路由的局部变量；partial 和 hexo.render 的输出不经过这里，占位符不会被提前替换
+hexo.extend.filter.register('after_render:html', function(html, locals) {
+  return componentRenderer.replacePlaceholders(html, locals, (components, options) =>
+    themeBuilder.getAssetTags(components, options).join('\n'));
+}, 1);
+
 // 注册console命令
 const tailwindInitCommand = require('./lib/commands/tailwind-init');
 const themeExportCommand = require('./lib/commands/theme-export');
+const buildCheckCommand = require('./lib/commands/build-check');
+const typecheckCommand = require('./lib/commands/typecheck');
+const analyzeCommand = require('./lib/commands/analyze');
+const componentCommand = require('./lib/commands/component');
+const componentsCommand = require('./lib/commands/components');
 
 // 帮助信息函数
 function showDetailedHelp() {
@@ -844,6 +655,45 @@ function showDetailedHelp() {
   console.log(chalk.gray('      • 打包为带时间戳的 .zip 文件'));
   console.log('');
   
+  // 构建可复现性检查命令
+  console.log(chalk.green.bold('  build-check'));
+  console.log(chalk.gray('    连续构建两次并比较输出，检查构建结果是否可复现'));
+  console.log(chalk.gray('    用法: hexo goose build-check'));
+  console.log(chalk.gray('    说明: 相同源码应生成文件名和内容完全一致的资源，不一致时以非零状态码退出'));
+  console.log('');
+  
+  // TypeScript 类型检查命令
+  console.log(chalk.green.bold('  typecheck'));
+  console.log(chalk.gray('    对 TypeScript 组件执行类型检查，按组件分组输出错误'));
+  console.log(chalk.gray('    用法: hexo goose typecheck'));
+  console.log(chalk.gray('    说明: 需要在站点中安装 typescript，主题根目录存在 tsconfig.json 时使用该配置'));
+  console.log('');
+  
+  // 打包分析命令
+  console.log(chalk.green.bold('  analyze [--output <file>]'));
+  console.log(chalk.gray('    打包组件脚本并生成离线可用的分块矩形树图报告'));
+  console.log(chalk.gray('    用法: hexo goose analyze'));
+  console.log(chalk.gray('    说明: 报告默认写入站点根目录的 goose-analyze.html，包含模块大小、使用组件和重复打包的依赖包'));
+  console.log('');
+  
+  // 组件脚手架命令
+  console.log(chalk.green.bold('  component new <name> [--vue] [--ts] [--test]'));
+  console.log(chalk.gray('    在 layout/components/<name>/ 下创建组件模板、样式和入口脚本'));
+  console.log(chalk.gray('    用法: hexo goose component new gallery'));
+  console.log(chalk.gray('    选项:'));
+  console.log(chalk.gray('      --vue     生成 Vue 单文件组件入口 (js/index.vue)'));
+  console.log(chalk.gray('      --ts      生成 TypeScript 入口 (js/index.ts)，与 --vue 同时使用时为 <script setup lang="ts">'));
+  console.log(chalk.gray('      --test    额外生成 Vitest 测试桩 (test/<name>.test.js)'));
+  console.log(chalk.gray('    说明: 组件目录已存在时拒绝创建，不会覆盖已有文件'));
+  console.log('');
+  
+  // 组件清单命令
+  console.log(chalk.green.bold('  components [--json] [--output <file>]'));
+  console.log(chalk.gray('    列出主题组件的脚本和样式大小、npm 依赖、模板引用和页面使用情况'));
+  console.log(chalk.gray('    用法: hexo goose components'));
+  console.log(chalk.gray('    说明: --json 以 JSON 输出，--output 将 JSON 写入文件；大小和页面使用情况取自最近一次 hexo generate'));
+  console.log('');
+  
   console.log(chalk.yellow('全局选项:'));
   console.log(chalk.gray('  -h, --help    显示此帮助信息'));
   console.log('');
@@ -858,6 +708,21 @@ function showDetailedHelp() {
   console.log(chalk.gray('  # 导出指定主题'));
   console.log(chalk.cyan('  hexo goose theme-export my-theme'));
   console.log('');
+  console.log(chalk.gray('  # 检查构建结果是否可复现'));
+  console.log(chalk.cyan('  hexo goose build-check'));
+  console.log('');
+  console.log(chalk.gray('  # 检查 TypeScript 组件类型'));
+  console.log(chalk.cyan('  hexo goose typecheck'));
+  console.log('');
+  console.log(chalk.gray('  # 生成打包分析报告'));
+  console.log(chalk.cyan('  hexo goose analyze --output report.html'));
+  console.log('');
+  console.log(chalk.gray('  # 创建 Vue + TypeScript 组件'));
+  console.log(chalk.cyan('  hexo goose component new comments --vue --ts'));
+  console.log('');
+  console.log(chalk.gray('  # 导出组件清单'));
+  console.log(chalk.cyan('  hexo goose components --json --silent > components.json'));
+  console.log('');
   
   console.log(chalk.yellow('更多信息:'));
   console.log(chalk.gray('  GitHub: https://github.com/Travisun/hexo-goose-builder'));
@@ -869,14 +734,19 @@ hexo.extend.console.register('goose', 'Hexo Goose Builder 工具命令', {
   usage: '<subcommand> [arguments] [options]',
   desc: '🦢 Hexo Goose Builder, 使用 help 查看详细帮助信息',
   arguments: [
-    { name: 'subcommand', desc: '子命令 (tailwind-init, theme-export， help)' },
+    { name: 'subcommand', desc: '子命令 (tailwind-init, theme-export, build-check, typecheck, analyze, component, components, help)' },
     { name: 'arguments', desc: '子命令参数 (可选)' }
   ],
   options: [
-    { name: '-h, --help', desc: '显示详细帮助信息'}
+    { name: '-h, --help', desc: '显示详细帮助信息'},
+    { name: '-o, --output', desc: 'analyze 报告的输出路径（默认 goose-analyze.html），components 的 JSON 输出路径'},
+    { name: '--json', desc: 'components 以 JSON 格式输出'},
+    { name: '--vue', desc: 'component new 生成 Vue 单文件组件'},
+    { name: '--ts', desc: 'component new 生成 TypeScript 组件'},
+    { name: '--test', desc: 'component new 额外生成测试桩'}
   ]
 }, function(args) {
-  console.log(chalk.gray(`[DEBUG] 参数结构: ${JSON.stringify(args._[1], null, 2)}`));
+  themeBuilder.logDebug(`参数结构: ${JSON.stringify(args._[1], null, 2)}`);
   const subcommand = args._[0];
   
   // 检查是否请求帮助信息
@@ -892,6 +762,21 @@ hexo.extend.console.register('goose', 'Hexo Goose Builder 工具命令', {
     case 'theme-export':
       return themeExportCommand.call(this, args);
       
+    case 'build-check':
+      return buildCheckCommand.call(this, args);
+      
+    case 'typecheck':
+      return typecheckCommand.call(this, args);
+      
+    case 'analyze':
+      return analyzeCommand.call(this, args);
+      
+    case 'component':
+      return componentCommand.call(this, args);
+      
+    case 'components':
+      return componentsCommand.call(this, args);
+      
     default:
       console.log(chalk.red(`❌ 未知的子命令: ${subcommand}\n`));
       showDetailedHelp();
@@ -0,0 +1,229 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SourceMaps = require('./source-maps');
+
+const MANIFEST_VERSION = 1;
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+const CROSSORIGIN_VALUES = ['anonymous', 'use-credentials'];
+
+/**
+ * 统一构建清单 goose-manifest.json
+ *
+ * 记录所有构建管线（TailwindCSS、JS 组件、复制的静态资源）输出的文件。
+ * 标签生成、旧文件清理、主题导出和 public 目录复制都以清单为准，不再扫描目录匹配文件名。
+ *
+ * 清单位于主题根目录，不会被 Hexo 当作主题资源发布。每个资源以逻辑名称为键：
+ * {
+ *   "version": 1,
+ *   "assets": {
+ *     "components.styles.css": {
+ *       "file": "css/components.styles.1a2b3c4d.css",  // 相对主题 source 目录，即公共访问路径
+ *       "type": "css",                                  // css | js | asset
+ *       "size": 1024,
+ *       "integrity": "sha384-...",
+ *       "component": null,                              // 所属组件，共享文件为 null
+ *       "dependencies": [],                             // 静态依赖的其他资源逻辑名称
+ *       "css": [],                                      // 入口脚本使用的组件样式逻辑名称（按导入顺序）
+ *       "entry": false,                                 // 是否为组件入口脚本
+ *       "legacy": false,                                // 是否为 nomodule 兼容脚本
+ *       "mount": false,                                 // 入口是否导出 mount(el, props)，可由自动挂载加载器加载
+ *       "sourcemap": null,                              // source map 文件（相对 source 目录），未生成或内联时为 null
+ *       "pipeline": "tailwind"                          // 生成该文件的构建管线
+ *     }
+ *   }
+ * }
+ */
+class AssetManifest {
+  // options.algorithm: 完整性哈希算法（sha256、sha384、sha512）
+  constructor(themeDir, options = {}) {
+    this.themeDir = themeDir;
+    this.algorithm = options.algorithm || 'sha384';
+    this.sourceDir = path.join(themeDir, 'source');
+    this.manifestPath = path.join(themeDir, AssetManifest.FILE_NAME);
+    this.assets = {};
+    // 本次进程中被新构建替换掉的文件，供 public 目录同步删除
+    this.retiredFiles = new Set();
+  }
+
+  static get FILE_NAME() {
+    return 'goose-manifest.json';
+  }
+
+  /**
+   * 读取 theme_builder.integrity 配置
+   * @param {Object} hexoConfig - Hexo 站点配置
+   * @returns {{enable: boolean, algorithm: string, crossorigin: string}}
+   */
+  static getIntegrityOptions(hexoConfig) {
+    const builderConfig = (hexoConfig && hexoConfig.theme_builder) || {};
+    const config = builderConfig.integrity || {};
+
+    const algorithm = String(config.algorithm || 'sha384').toLowerCase();
+    const crossorigin = String(config.crossorigin || 'anonymous').toLowerCase();
+
+    return {
+      enable: config.enable !== false,
+      algorithm: INTEGRITY_ALGORITHMS.includes(algorithm) ? algorithm : 'sha384',
+      crossorigin: CROSSORIGIN_VALUES.includes(crossorigin) ? crossorigin : 'anonymous'
+    };
+  }
+
+  // 按 Hexo 配置创建并读取主题的构建清单
+  static fromHexo(hexo, themeDir = hexo.theme_dir) {
+    const { algorithm } = AssetManifest.getIntegrityOptions(hexo.config);
+    return new AssetManifest(themeDir, { algorithm }).load();
+  }
+
+  // 计算 Subresource Integrity 值
+  static computeIntegrity(content, algorithm = 'sha384') {
+    const digest = crypto.createHash(algorithm).update(content).digest('base64');
+    return `${algorithm}-${digest}`;
+  }
+
+  exists() {
+    return fs.existsSync(this.manifestPath);
+  }
+
+  // 从磁盘读取清单，文件不存在或版本不匹配时视为空清单
+  load() {
+    this.assets = {};
+
+    if (!this.exists()) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (data && data.version === MANIFEST_VERSION && data.assets) {
+        this.assets = data.assets;
+      }
+    } catch (error) {
+      this.assets = {};
+    }
+
+    return this;
+  }
+
+  // 写入清单，键按名称排序且不包含时间戳，保证相同构建得到相同内容
+  save() {
+    const assets = {};
+    Object.keys(this.assets).sort().forEach(name => {
+      assets[name] = this.assets[name];
+    });
+
+    const content = JSON.stringify({ version: MANIFEST_VERSION, assets }, null, 2) + '\n';
+    fs.writeFileSync(this.manifestPath, content);
+    return this.manifestPath;
+  }
+
+  /**
+   * 用一次构建的结果替换某个管线的全部资源记录
+   * @param {string} pipeline - 管线名称（tailwind、js、assets）
+   * @param {Array<Object>} entries - 资源列表，包含 name、file、type，可选 component、dependencies、css、entry、legacy、mount、sourcemap
+   * @returns {string[]} 旧构建中存在、本次构建不再输出的文件（相对 source 目录，包括 source map）
+   */
+  setPipeline(pipeline, entries) {
+    const previousFiles = this.getOutputFiles({ pipeline });
+
+    Object.keys(this.assets).forEach(name => {
+      if (this.assets[name].pipeline === pipeline) {
+        delete this.assets[name];
+      }
+    });
+
+    entries.forEach(entry => {
+      const content = fs.readFileSync(this.getAbsolutePath(entry.file));
+      this.assets[entry.name] = {
+        file: entry.file,
+        type: entry.type,
+        size: content.length,
+        integrity: AssetManifest.computeIntegrity(content, this.algorithm),
+        component: entry.component || null,
+        dependencies: (entry.dependencies || []).slice().sort(),
+        css: (entry.css || []).slice(),
+        entry: entry.entry === true,
+        legacy: entry.legacy === true,
+        mount: entry.mount === true,
+        sourcemap: entry.sourcemap || null,
+        pipeline
+      };
+    });
+
+    const currentFiles = new Set(this.getOutputFiles());
+    const retired = previousFiles.filter(file => !currentFiles.has(file));
+    retired.forEach(file => this.retiredFiles.add(file));
+    return retired;
+  }
+
+  /**
+   * 移除符合条件的资源记录
+   * @returns {string[]} 被移除记录对应的文件
+   */
+  remove(filter = {}) {
+    const removed = this.getOutputFiles(filter);
+    this.getAssets(filter).forEach(asset => {
+      delete this.assets[asset.name];
+    });
+    removed.forEach(file => this.retiredFiles.add(file));
+    return removed;
+  }
+
+  get(name) {
+    const asset = this.assets[name];
+    return asset ? { name, ...asset } : null;
+  }
+
+  // 按条件（pipeline、type、component、entry、legacy）筛选资源，按逻辑名称排序
+  getAssets(filter = {}) {
+    return Object.keys(this.assets)
+      .sort()
+      .map(name => ({ name, ...this.assets[name] }))
+      .filter(asset => Object.keys(filter).every(key => asset[key] === filter[key]));
+  }
+
+  getFiles(filter = {}) {
+    return this.getAssets(filter).map(asset => asset.file);
+  }
+
+  /**
+   * 资源文件及其 source map 文件
+   * @param {Object} filter - 筛选条件，同 getAssets
+   * @param {Object} options
+   * @param {boolean} options.hidden - 是否包含 hidden 模式的 source map（不发布到 public 目录）
+   */
+  getOutputFiles(filter = {}, { hidden = true } = {}) {
+    const files = [];
+    this.getAssets(filter).forEach(asset => {
+      files.push(asset.file);
+      if (asset.sourcemap && (hidden || !SourceMaps.isHidden(asset.sourcemap))) {
+        files.push(asset.sourcemap);
+      }
+    });
+    return files;
+  }
+
+  // 所有出现在清单中的组件名称
+  getComponents() {
+    const components = new Set();
+    this.getAssets({ entry: true }).forEach(asset => {
+      if (asset.component) components.add(asset.component);
+    });
+    return [...components].sort();
+  }
+
+  getAbsolutePath(file) {
+    return path.join(this.sourceDir, ...file.split('/'));
+  }
+
+  // 取出并清空已记录的被替换文件
+  takeRetiredFiles() {
+    const files = [...this.retiredFiles];
+    this.retiredFiles.clear();
+    return files;
+  }
+}
+
+module.exports = AssetManifest;
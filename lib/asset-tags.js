@@ -0,0 +1,180 @@
+'use strict';
+
+const MountLoader = require('./js-bundler/mount-loader');
+
+/**
+ * 根据 goose-manifest.json 生成页面资源标签
+ * 开发服务器的 load_theme_assets 助手和主题导出共用同一套输出规则
+ */
+class AssetTags {
+  /**
+   * @param {AssetManifest} manifest - 构建清单
+   * @param {Object} [options] - 完整性选项，见 AssetManifest.getIntegrityOptions
+   * @param {boolean} [options.enable] - 是否输出 integrity 和 crossorigin 属性
+   * @param {string} [options.crossorigin] - crossorigin 属性值
+   * @param {string} [options.nonce] - CSP nonce，非空时写入每个标签
+   * @param {string} [options.root] - 站点根路径（Hexo 配置的 root），默认 /
+   */
+  constructor(manifest, options = {}) {
+    this.manifest = manifest;
+    this.options = { enable: true, crossorigin: 'anonymous', nonce: null, root: '/', ...options };
+  }
+
+  /**
+   * 生成资源标签
+   * @param {string[]|null} components - 页面使用的组件名称，null 表示全部组件
+   * @returns {{tags: string[], missing: string[]}} 标签列表以及清单中不存在的组件
+   */
+  render(components = null) {
+    const tags = [];
+    const missing = [];
+    const allEntries = this.getEntries(components, false, missing);
+
+    this.getStylesheets(allEntries).forEach(asset => {
+      tags.push(`<link rel="stylesheet" href="${this.getUrl(asset)}"${this.getAttributes(asset)}>`);
+    });
+
+    // 启用自动挂载时，导出 mount 的入口由加载器在元素可见、空闲或交互时再加载，不直接输出
+    const loader = this.manifest.get(MountLoader.LOADER_NAME);
+    const entries = loader ? allEntries.filter(asset => !asset.mount) : allEntries;
+
+    // 静态依赖使用 modulepreload 提前加载，避免入口执行时的瀑布请求
+    this.collectDependencies(entries)
+      .filter(asset => !asset.entry)
+      .forEach(asset => {
+        tags.push(`<link rel="modulepreload" href="${this.getUrl(asset)}"${this.getAttributes(asset)}>`);
+      });
+
+    entries.forEach(asset => {
+      tags.push(`<script type="module" src="${this.getUrl(asset)}"${this.getAttributes(asset)}></script>`);
+    });
+
+    if (loader && entries.length < allEntries.length) {
+      tags.push(`<script type="module" src="${this.getUrl(loader)}"${this.getAttributes(loader)}></script>`);
+    }
+
+    // nomodule 兼容脚本只在不支持 ES 模块的浏览器中执行，defer 保持与模块脚本相同的执行时机
+    this.getEntries(components, true).forEach(asset => {
+      tags.push(`<script nomodule defer src="${this.getUrl(asset)}"${this.getAttributes(asset)}></script>`);
+    });
+
+    return { tags, missing };
+  }
+
+  /**
+   * 页面需要的样式表：入口脚本导入的组件样式（按入口顺序和导入顺序去重），
+   * 其后是不属于任何入口的样式（TailwindCSS 输出等），在每个页面都输出
+   * 由加载器挂载的入口同样输出样式，避免组件挂载前后样式变化
+   * @param {Array<Object>} entries - 页面的 ES 模块入口
+   */
+  getStylesheets(entries) {
+    const stylesheets = this.manifest.getAssets({ type: 'css' });
+    const owned = new Set();
+    this.manifest.getAssets({ type: 'js' }).forEach(asset => {
+      (asset.css || []).forEach(name => owned.add(name));
+    });
+
+    const names = [];
+    entries.forEach(entry => {
+      (entry.css || []).forEach(name => {
+        if (!names.includes(name)) names.push(name);
+      });
+    });
+
+    return [
+      ...names.map(name => this.manifest.get(name)).filter(asset => asset && asset.type === 'css'),
+      ...stylesheets.filter(asset => !owned.has(asset.name))
+    ];
+  }
+
+  /**
+   * 按组件查找入口脚本，保持组件的传入顺序
+   * @param {string[]|null} components - 组件名称，null 表示全部组件
+   * @param {boolean} legacy - 查找 nomodule 兼容脚本还是 ES 模块入口
+   * @param {string[]} [missing] - 收集清单中不存在的组件
+   */
+  getEntries(components, legacy, missing = []) {
+    // 旧版清单没有 legacy 字段，视为 ES 模块入口
+    const matches = asset => Boolean(asset.legacy) === legacy;
+
+    if (!Array.isArray(components)) {
+      return this.manifest.getAssets({ type: 'js', entry: true }).filter(matches);
+    }
+
+    const entries = [];
+    components.forEach(name => {
+      const componentEntries = this.manifest.getAssets({ type: 'js', entry: true, component: name }).filter(matches);
+      if (componentEntries.length === 0) {
+        missing.push(name);
+      }
+      componentEntries.forEach(asset => {
+        if (!entries.some(entry => entry.name === asset.name)) entries.push(asset);
+      });
+    });
+    return entries;
+  }
+
+  // 收集入口脚本的全部静态依赖（包括间接依赖）
+  collectDependencies(entries) {
+    const visited = new Set(entries.map(entry => entry.name));
+    const dependencies = [];
+    const queue = entries.slice();
+
+    while (queue.length > 0) {
+      const asset = queue.shift();
+      (asset.dependencies || []).forEach(name => {
+        if (visited.has(name)) return;
+        visited.add(name);
+
+        const dependency = this.manifest.get(name);
+        if (dependency) {
+          dependencies.push(dependency);
+          queue.push(dependency);
+        }
+      });
+    }
+
+    return dependencies;
+  }
+
+  getUrl(asset) {
+    return AssetTags.getAssetUrl(this.options.root, asset.file);
+  }
+
+  // 资源访问路径，与 Hexo url_for 相同地以站点 root 为前缀（例如 root: /blog/ 时为 /blog/js/...）
+  static getAssetUrl(root, file) {
+    let prefix = root || '/';
+    if (!prefix.endsWith('/')) prefix += '/';
+    return `${prefix}${file}`;
+  }
+
+  getAttributes(asset) {
+    return this.getIntegrityAttributes(asset) + AssetTags.getNonceAttribute(this.options.nonce);
+  }
+
+  // CSP nonce 属性，未提供 nonce 时不输出
+  static getNonceAttribute(nonce) {
+    if (!nonce) {
+      return '';
+    }
+    return ` nonce="${AssetTags.escapeAttribute(nonce)}"`;
+  }
+
+  static escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  // Subresource Integrity 属性，清单中没有摘要时不输出
+  getIntegrityAttributes(asset) {
+    if (!this.options.enable || !asset.integrity) {
+      return '';
+    }
+    return ` integrity="${asset.integrity}" crossorigin="${this.options.crossorigin}"`;
+  }
+}
+
+module.exports = AssetTags;
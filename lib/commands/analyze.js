@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const ComponentJSBundler = require('../js-bundler');
+const AssetManifest = require('../asset-manifest');
+const Utils = require('../js-bundler/utils');
+
+const REPORT_TEMPLATE = path.join(__dirname, '..', 'templates', 'bundle-report.html');
+const DEFAULT_OUTPUT = 'goose-analyze.html';
+
+/**
+ * 打包分析
+ * 执行一次完整的组件脚本打包，生成包含分块矩形树图的离线 HTML 报告
+ */
+class BundleAnalyze {
+  constructor(hexo, args = {}) {
+    this.hexo = hexo;
+    this.outputPath = path.resolve(hexo.base_dir, args.output || args.o || DEFAULT_OUTPUT);
+  }
+
+  async run() {
+    console.log(chalk.blue('\n📊 Hexo Goose Builder - 打包分析\n'));
+
+    if (!fs.existsSync(this.hexo.theme_dir)) {
+      throw new Error(`主题目录不存在: ${this.hexo.theme_dir}`);
+    }
+
+    // 与正式构建使用相同的配置，只分析 ES 模块输出；
+    // 打包结果写入临时目录并使用独立的清单，不影响主题 source 目录中的产物和 goose-manifest.json
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-analyze-'));
+    let analysis;
+    try {
+      const { algorithm } = AssetManifest.getIntegrityOptions(this.hexo.config);
+      const manifest = new AssetManifest(tempDir, { algorithm });
+      const jsBundler = new ComponentJSBundler(this.hexo, {
+        manifest,
+        analyze: true,
+        legacy: false,
+        outputDir: path.join(tempDir, 'source')
+      });
+      const result = await jsBundler.bundle();
+      analysis = jsBundler.getAnalysis();
+
+      if (!result || !analysis) {
+        throw new Error('组件脚本打包失败，无法生成分析报告');
+      }
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const report = {
+      theme: path.basename(path.resolve(this.hexo.theme_dir)),
+      generatedAt: new Date().toLocaleString(),
+      chunks: analysis.chunks,
+      duplicates: analysis.duplicates
+    };
+
+    fs.writeFileSync(this.outputPath, this.renderHtml(report));
+    this.printSummary(report);
+    console.log(chalk.green(`\n✓ 分析报告已生成: ${path.relative(process.cwd(), this.outputPath) || this.outputPath}\n`));
+  }
+
+  // 报告数据以 JSON 内联到模板中，< 转义后不会提前结束 <script>
+  renderHtml(report) {
+    const template = fs.readFileSync(REPORT_TEMPLATE, 'utf8');
+    const data = JSON.stringify(report).replace(/</g, '\\u003c');
+    return template.replace('/*__GOOSE_REPORT_DATA__*/null', () => data);
+  }
+
+  printSummary(report) {
+    report.chunks.forEach(chunk => {
+      const label = chunk.component ? `${chunk.fileName} ${chalk.gray(`(${chunk.component})`)}` : chunk.fileName;
+      console.log(`  ${label}  ${Utils.formatSize(chunk.size)} ${chalk.gray(`gzip ${Utils.formatSize(chunk.gzip)}，${chunk.modules.length} 个模块`)}`);
+    });
+
+    if (report.duplicates.length > 0) {
+      console.log(chalk.yellow(`\n⚠ ${report.duplicates.length} 个依赖包被重复打包:`));
+      report.duplicates.forEach(item => {
+        console.log(chalk.yellow(`  • ${item.package}`) + chalk.gray(` (${item.chunks.join(', ')})`));
+      });
+    }
+  }
+}
+
+module.exports = async function(args) {
+  const analyzer = new BundleAnalyze(this, args);
+
+  try {
+    await analyzer.run();
+  } catch (error) {
+    console.error(chalk.red('❌ 打包分析失败:'), error.message);
+    if (this.config.theme_builder && this.config.theme_builder.debug) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  }
+};
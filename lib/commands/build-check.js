@@ -0,0 +1,138 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const ComponentJSBundler = require('../js-bundler');
+const TailwindCompiler = require('../tailwind-compiler');
+const AssetManifest = require('../asset-manifest');
+const SourceMaps = require('../source-maps');
+
+/**
+ * 构建可复现性检查
+ * 连续执行两次完整构建，比较输出文件的名称和内容是否完全一致
+ */
+class BuildCheck {
+  constructor(hexo) {
+    this.hexo = hexo;
+    this.outputDirs = ['source/css', 'source/js', `source/${SourceMaps.HIDDEN_DIR}`];
+    this.outputFiles = [AssetManifest.FILE_NAME];
+  }
+
+  async run() {
+    console.log(chalk.blue('\n🔍 Hexo Goose Builder - 构建可复现性检查\n'));
+
+    if (!fs.existsSync(this.hexo.theme_dir)) {
+      throw new Error(`主题目录不存在: ${this.hexo.theme_dir}`);
+    }
+
+    console.log(chalk.blue('[步骤 1/3] 第一次构建...'));
+    await this.build();
+    const first = this.snapshot();
+
+    console.log(chalk.blue('[步骤 2/3] 第二次构建...'));
+    await this.build();
+    const second = this.snapshot();
+
+    console.log(chalk.blue('[步骤 3/3] 比较构建结果...'));
+    const differences = this.compare(first, second);
+    this.report(first, differences);
+
+    return differences.length === 0;
+  }
+
+  // 每次构建使用新的编译器实例，避免进程内缓存影响结果
+  async build() {
+    const manifest = AssetManifest.fromHexo(this.hexo);
+
+    const tailwindCompiler = new TailwindCompiler(this.hexo, { manifest });
+    await tailwindCompiler.compile({ skipClean: false, forceRecompile: true });
+
+    const jsBundler = new ComponentJSBundler(this.hexo, { manifest });
+    await jsBundler.bundle();
+
+    manifest.save();
+  }
+
+  // 记录输出目录和构建清单的内容哈希（相对路径 → sha256）
+  snapshot() {
+    const files = {};
+    const outputs = this.outputDirs
+      .reduce((list, dir) => list.concat(this.walk(path.join(this.hexo.theme_dir, dir))), [])
+      .concat(this.outputFiles.map(file => path.join(this.hexo.theme_dir, file)).filter(file => fs.existsSync(file)));
+
+    outputs.forEach(file => {
+      const relativePath = path.relative(this.hexo.theme_dir, file).split(path.sep).join('/');
+      files[relativePath] = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    });
+
+    return files;
+  }
+
+  walk(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const results = [];
+    fs.readdirSync(dir).sort().forEach(item => {
+      const fullPath = path.join(dir, item);
+      if (fs.statSync(fullPath).isDirectory()) {
+        results.push(...this.walk(fullPath));
+      } else {
+        results.push(fullPath);
+      }
+    });
+    return results;
+  }
+
+  compare(first, second) {
+    const differences = [];
+    const allFiles = new Set([...Object.keys(first), ...Object.keys(second)]);
+
+    [...allFiles].sort().forEach(file => {
+      if (!(file in second)) {
+        differences.push({ file, reason: '仅存在于第一次构建' });
+      } else if (!(file in first)) {
+        differences.push({ file, reason: '仅存在于第二次构建' });
+      } else if (first[file] !== second[file]) {
+        differences.push({ file, reason: '内容不一致' });
+      }
+    });
+
+    return differences;
+  }
+
+  report(first, differences) {
+    const fileCount = Object.keys(first).length;
+
+    if (differences.length === 0) {
+      console.log(chalk.green(`\n✓ 两次构建结果完全一致（${fileCount} 个文件）\n`));
+      return;
+    }
+
+    console.log(chalk.red(`\n❌ 两次构建结果不一致，发现 ${differences.length} 处差异:`));
+    differences.forEach(({ file, reason }) => {
+      console.log(chalk.red(`  • ${file}`) + chalk.gray(` (${reason})`));
+    });
+    console.log('');
+  }
+}
+
+module.exports = async function(args) {
+  const checker = new BuildCheck(this);
+
+  try {
+    const reproducible = await checker.run();
+    if (!reproducible) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ 构建检查失败:'), error.message);
+    if (this.config.theme_builder && this.config.theme_builder.debug) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  }
+};
+
+module.exports.BuildCheck = BuildCheck;
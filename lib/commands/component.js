@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Utils = require('../js-bundler/utils');
+
+const TEMPLATE_DIR = path.join(__dirname, 'resources', 'component');
+
+// 组件名称同时用作目录名、CSS 类名前缀和 data-goose-component 的值
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+
+/**
+ * 组件脚手架
+ * hexo goose component new <name> [--vue] [--ts] [--test]
+ *
+ * 在 layout/components/<name>/ 下生成打包和样式扫描约定的目录结构：
+ *   <name>.ejs        组件模板（goose_component 助手优先查找的文件）
+ *   <name>.css        组件样式，由 TailwindCSS 合并到 components.styles.css
+ *   js/index.*        组件入口（.js、.ts 或 .vue），导出 mount(el, props)
+ *   test/<name>.test.js  可选的测试桩（--test）
+ */
+class ComponentScaffold {
+  constructor(hexo, args = {}) {
+    this.hexo = hexo;
+    this.componentsDir = path.join(hexo.theme_dir, 'layout', 'components');
+    this.variant = args.vue ? 'vue' : (args.ts ? 'ts' : 'vanilla');
+    // --vue --ts 生成 <script setup lang="ts">
+    this.typescript = Boolean(args.ts);
+    this.withTest = Boolean(args.test);
+  }
+
+  static toPascalCase(name) {
+    return name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  }
+
+  getEntryFile() {
+    return { vanilla: 'index.js', ts: 'index.ts', vue: 'index.vue' }[this.variant];
+  }
+
+  /**
+   * 需要生成的文件：组件目录内的相对路径 → 模板文件和额外替换项
+   */
+  getFiles(name) {
+    const entryFile = this.getEntryFile();
+    const files = [
+      { file: `${name}.ejs`, template: this.variant === 'vue' ? 'partial.vue.ejs' : 'partial.ejs' },
+      { file: `${name}.css`, template: 'style.css' },
+      { file: `js/${entryFile}`, template: entryFile }
+    ];
+    if (this.withTest) {
+      files.push({ file: `test/${name}.test.js`, template: 'component.test.js' });
+    }
+    return files;
+  }
+
+  render(template, name) {
+    const replacements = {
+      __PASCAL_NAME__: ComponentScaffold.toPascalCase(name),
+      __NAME__: name,
+      __ENTRY__: this.getEntryFile(),
+      __SCRIPT_LANG__: this.typescript ? ' lang="ts"' : '',
+      __TEST_DEPENDENCIES__: this.variant === 'vue'
+        ? ' @vitejs/plugin-vue\n// .vue 文件需要在 vitest.config.js 中启用 @vitejs/plugin-vue'
+        : ''
+    };
+    const content = fs.readFileSync(path.join(TEMPLATE_DIR, template), 'utf8');
+    return content.replace(/__(PASCAL_NAME|NAME|ENTRY|SCRIPT_LANG|TEST_DEPENDENCIES)__/g, key => replacements[key]);
+  }
+
+  create(name) {
+    console.log(chalk.blue('\n🧩 Hexo Goose Builder - 创建组件\n'));
+
+    if (!name) {
+      throw new Error('请指定组件名称: hexo goose component new <name>');
+    }
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`组件名称无效: ${name}（只能包含小写字母、数字和连字符，并以字母开头）`);
+    }
+    if (!fs.existsSync(path.join(this.hexo.theme_dir, 'layout'))) {
+      throw new Error(`主题 layout 目录不存在: ${path.join(this.hexo.theme_dir, 'layout')}`);
+    }
+
+    const componentDir = path.join(this.componentsDir, name);
+    if (fs.existsSync(componentDir)) {
+      throw new Error(`组件 ${name} 已存在: ${path.relative(this.hexo.base_dir, componentDir)}，不会覆盖已有文件`);
+    }
+
+    const files = this.getFiles(name);
+    files.forEach(({ file, template }) => {
+      const target = path.join(componentDir, file);
+      Utils.ensureDirectoryExists(path.dirname(target));
+      fs.writeFileSync(target, this.render(template, name));
+    });
+
+    const variantLabel = { vanilla: 'JavaScript', ts: 'TypeScript', vue: this.typescript ? 'Vue + TypeScript' : 'Vue' }[this.variant];
+    console.log(chalk.green(`✓ 已创建组件 ${name}（${variantLabel}）:`));
+    files.forEach(({ file }) => {
+      console.log(chalk.gray(`  • ${path.relative(this.hexo.base_dir, path.join(componentDir, file)).split(path.sep).join('/')}`));
+    });
+
+    console.log(chalk.yellow('\n下一步:'));
+    console.log(chalk.gray('  在页面模板中渲染组件:'));
+    console.log(chalk.cyan(`  <%- goose_component('${name}', { title: '${name}' }) %>`));
+    if (this.variant === 'vue') {
+      console.log(chalk.gray('  Vue 组件需要在站点中安装 vue，并开启 theme_builder.javascript.auto_mount'));
+    }
+    if (this.withTest) {
+      console.log(chalk.gray(`  测试桩使用 Vitest，请按 test/${name}.test.js 顶部的说明安装依赖`));
+    }
+    console.log('');
+  }
+}
+
+module.exports = async function(args) {
+  const action = args._[1];
+
+  try {
+    if (action !== 'new') {
+      throw new Error(`未知的 component 操作: ${action || '（未指定）'}，用法: hexo goose component new <name> [--vue] [--ts] [--test]`);
+    }
+    new ComponentScaffold(this, args).create(args._[2]);
+  } catch (error) {
+    console.error(chalk.red('❌ 创建组件失败:'), error.message);
+    if (this.config.theme_builder && this.config.theme_builder.debug) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  }
+};
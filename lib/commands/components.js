@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const chalk = require('chalk');
+const glob = require('glob');
+const ComponentJSBundler = require('../js-bundler');
+const TailwindCompiler = require('../tailwind-compiler');
+const AssetManifest = require('../asset-manifest');
+const Utils = require('../js-bundler/utils');
+
+// 组件源码中需要分析依赖的文件，测试文件不计入
+const SOURCE_PATTERN = '**/*.{js,mjs,ts,tsx,vue}';
+const TEST_IGNORE = ['**/node_modules/**', '**/test/**', '**/__tests__/**', '**/*.{test,spec}.*'];
+
+// import/export ... from 'x'、import 'x'、import('x')、require('x')
+const IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)(['"])([^'"\n]+)\1/g;
+
+// 模板中引用组件的写法
+const REFERENCE_PATTERNS = [
+  { via: 'goose_component', pattern: /goose_component\(\s*(['"])([\w-]+)\1/g },
+  { via: 'partial', pattern: /partial\(\s*(['"])components\/([\w-]+)\//g },
+  { via: 'data-goose-component', pattern: /data-goose-component=(['"])([\w-]+)\1/g }
+];
+const ASSET_LIST_PATTERN = /load_theme_assets\(\s*\[([^\]]*)\]/g;
+
+/**
+ * 组件清单
+ * hexo goose components [--json] [-o <file>]
+ *
+ * 汇总打包（BundlerCore.findJsFiles）和样式扫描（TailwindCompiler.scanComponentStyles）发现的组件：
+ *   - 脚本大小：构建清单中属于组件的分块，共享分块单独列出
+ *   - 样式大小：组件目录中合并到 TailwindCSS 的 CSS 文件
+ *   - npm 依赖：组件源码中导入的包
+ *   - 模板引用：layout 中通过 goose_component、partial、data-goose-component 或 load_theme_assets([...]) 引用组件的文件
+ *   - 页面使用：public 目录的页面中带有 data-goose-component="<name>" 的数量
+ */
+class ComponentInventory {
+  constructor(hexo, args = {}) {
+    this.hexo = hexo;
+    this.layoutDir = path.join(hexo.theme_dir, 'layout');
+    this.componentsDir = path.join(this.layoutDir, 'components');
+    this.json = Boolean(args.json);
+    this.outputPath = args.output || args.o ? path.resolve(hexo.base_dir, args.output || args.o) : null;
+  }
+
+  run() {
+    if (!fs.existsSync(this.layoutDir)) {
+      throw new Error(`主题 layout 目录不存在: ${this.layoutDir}`);
+    }
+
+    const manifest = AssetManifest.fromHexo(this.hexo);
+    const scripts = this.findScripts(manifest);
+    const styles = this.findStyles(manifest);
+    const names = [...new Set([...scripts.keys(), ...styles.keys()])].sort();
+
+    const references = this.findReferences(names);
+    const pages = this.countPages(names);
+
+    const components = names.map(name => {
+      const js = this.getScriptSizes(manifest, name);
+      const item = {
+        name,
+        entries: (scripts.get(name) || []).map(file => this.relative(file)),
+        styles: (styles.get(name) || []).map(style => style.relativePath),
+        js,
+        css: { size: (styles.get(name) || []).reduce((total, style) => total + style.size, 0) },
+        dependencies: this.findDependencies(name),
+        references: references.get(name),
+        pages: pages ? pages.get(name) : null
+      };
+      item.unused = item.references.length === 0 && !item.pages;
+      return item;
+    });
+
+    const report = {
+      theme: path.basename(path.resolve(this.hexo.theme_dir)),
+      built: manifest.getAssets({ pipeline: 'js' }).length > 0,
+      generated: pages !== null,
+      components
+    };
+
+    if (this.outputPath) {
+      fs.writeFileSync(this.outputPath, JSON.stringify(report, null, 2) + '\n');
+    }
+    if (this.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      this.printTable(report);
+    }
+    if (this.outputPath) {
+      const message = `✓ 组件清单已写入: ${path.relative(process.cwd(), this.outputPath) || this.outputPath}`;
+      // --json 时标准输出只包含 JSON
+      (this.json ? console.error : console.log)(chalk.green(message));
+    }
+    return report;
+  }
+
+  // 组件名称 → 入口文件，与打包使用相同的查找方式
+  findScripts(manifest) {
+    const jsBundler = new ComponentJSBundler(this.hexo, { manifest });
+    const scripts = new Map();
+    jsBundler.bundlerCore.findJsFiles(this.layoutDir).sort().forEach(file => {
+      const name = Utils.getComponentName(this.layoutDir, file);
+      if (!scripts.has(name)) scripts.set(name, []);
+      scripts.get(name).push(file);
+    });
+    return scripts;
+  }
+
+  // 组件名称 → 样式文件，与 TailwindCSS 编译使用相同的扫描方式
+  findStyles(manifest) {
+    const compiler = new TailwindCompiler(this.hexo, { manifest });
+    compiler.scanComponentStyles({ silent: true });
+
+    const styles = new Map();
+    compiler.componentStyles.forEach((style, filePath) => {
+      if (!styles.has(style.componentName)) styles.set(style.componentName, []);
+      styles.get(style.componentName).push({
+        relativePath: this.relative(filePath),
+        size: Buffer.byteLength(style.content)
+      });
+    });
+    return styles;
+  }
+
+  /**
+   * 构建清单中组件的脚本大小
+   * own 为属于组件的分块，shared 为入口静态依赖的共享分块（可能被多个组件共用）
+   */
+  getScriptSizes(manifest, name) {
+    const own = manifest.getAssets({ pipeline: 'js', type: 'js', component: name })
+      .filter(asset => !asset.legacy);
+
+    const shared = new Map();
+    const queue = own.slice();
+    while (queue.length > 0) {
+      (queue.shift().dependencies || []).forEach(dependency => {
+        const asset = manifest.get(dependency);
+        if (!asset || asset.component === name || shared.has(dependency)) return;
+        shared.set(dependency, asset);
+        queue.push(asset);
+      });
+    }
+
+    return {
+      size: own.reduce((total, asset) => total + (asset.size || 0), 0),
+      files: own.map(asset => asset.file),
+      shared: [...shared.keys()].sort(),
+      sharedSize: [...shared.values()].reduce((total, asset) => total + (asset.size || 0), 0)
+    };
+  }
+
+  // 组件源码导入的 npm 包（相对路径、绝对路径、goose: 虚拟模块和 Node 内置模块除外）
+  findDependencies(name) {
+    const componentDir = path.join(this.componentsDir, name);
+    if (!fs.existsSync(componentDir)) {
+      return [];
+    }
+
+    const packages = new Set();
+    glob.sync(SOURCE_PATTERN, { cwd: componentDir, absolute: true, nodir: true, ignore: TEST_IGNORE }).forEach(file => {
+      const content = fs.readFileSync(file, 'utf8');
+      let match;
+      IMPORT_PATTERN.lastIndex = 0;
+      while ((match = IMPORT_PATTERN.exec(content)) !== null) {
+        const packageName = ComponentInventory.getPackageName(match[2]);
+        if (packageName) packages.add(packageName);
+      }
+    });
+    return [...packages].sort();
+  }
+
+  static getPackageName(specifier) {
+    if (/^[./]/.test(specifier) || /^[a-z]+:/i.test(specifier) || specifier.includes('?')) {
+      return null;
+    }
+    const parts = specifier.split('/');
+    const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    return builtinModules.includes(packageName) ? null : packageName;
+  }
+
+  /**
+   * 组件名称 → 引用组件的模板文件
+   * 组件目录内的模板引用自身时不计入
+   */
+  findReferences(names) {
+    const references = new Map(names.map(name => [name, []]));
+    const add = (name, file, via) => {
+      if (!references.has(name)) return;
+      const relativePath = path.relative(this.layoutDir, file).split(path.sep).join('/');
+      if (relativePath.startsWith(`components/${name}/`)) return;
+      const list = references.get(name);
+      if (!list.some(item => item.file === relativePath && item.via === via)) {
+        list.push({ file: relativePath, via });
+      }
+    };
+
+    glob.sync('**/*.ejs', { cwd: this.layoutDir, absolute: true, nodir: true }).sort().forEach(file => {
+      const content = fs.readFileSync(file, 'utf8');
+
+      REFERENCE_PATTERNS.forEach(({ via, pattern }) => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+          add(match[2], file, via);
+        }
+      });
+
+      ASSET_LIST_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = ASSET_LIST_PATTERN.exec(content)) !== null) {
+        (match[1].match(/(['"])[\w-]+\1/g) || []).forEach(quoted => add(quoted.slice(1, -1), file, 'load_theme_assets'));
+      }
+    });
+
+    return references;
+  }
+
+  /**
+   * 组件名称 → 使用组件的页面数
+   * @returns {Map<string, number>|null} public 目录中没有页面时为 null（尚未执行 hexo generate）
+   */
+  countPages(names) {
+    const publicDir = this.hexo.public_dir;
+    const files = fs.existsSync(publicDir)
+      ? glob.sync('**/*.html', { cwd: publicDir, absolute: true, nodir: true })
+      : [];
+    if (files.length === 0) {
+      return null;
+    }
+
+    const pages = new Map(names.map(name => [name, 0]));
+    const pattern = /data-goose-component=(["']?)([\w-]+)\1/g;
+    files.forEach(file => {
+      const found = new Set();
+      const content = fs.readFileSync(file, 'utf8');
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        found.add(match[2]);
+      }
+      found.forEach(name => {
+        if (pages.has(name)) pages.set(name, pages.get(name) + 1);
+      });
+    });
+    return pages;
+  }
+
+  relative(file) {
+    return path.relative(this.hexo.theme_dir, file).split(path.sep).join('/');
+  }
+
+  printTable(report) {
+    console.log(chalk.blue(`\n🧩 Hexo Goose Builder - 组件清单（${report.theme}）\n`));
+
+    if (report.components.length === 0) {
+      console.log(chalk.gray('⚪ 未发现组件（layout/components/<name>/js/ 或 layout/components/**/*.css）\n'));
+      return;
+    }
+
+    const rows = report.components.map(item => [
+      item.name,
+      report.built ? this.formatScriptSize(item.js) : '-',
+      item.css.size > 0 ? Utils.formatSize(item.css.size) : '-',
+      item.dependencies.join(', ') || '-',
+      item.references.map(reference => reference.file).filter((file, index, files) => files.indexOf(file) === index).join(', ') || '-',
+      item.pages === null ? '-' : String(item.pages)
+    ]);
+    const header = ['组件', 'JS', 'CSS', 'npm 依赖', '模板引用', '页面'];
+    const widths = header.map((title, column) =>
+      Math.max(...[title, ...rows.map(row => row[column])].map(Utils.getDisplayWidth)));
+    const format = cells => cells.map((cell, column) => Utils.padEnd(cell, widths[column])).join('  ').trimEnd();
+
+    console.log(chalk.bold(format(header)));
+    console.log(chalk.gray(widths.map(width => '-'.repeat(width)).join('  ')));
+    rows.forEach((row, index) => {
+      const line = format(row);
+      console.log(report.components[index].unused ? chalk.yellow(line) : line);
+    });
+
+    if (!report.built) {
+      console.log(chalk.gray('\n构建清单中没有脚本记录，执行 hexo generate 后可查看 JS 大小'));
+    }
+    if (!report.generated) {
+      console.log(chalk.gray('public 目录中没有页面，执行 hexo generate 后可查看页面使用情况'));
+    }
+
+    const unused = report.components.filter(item => item.unused);
+    if (unused.length > 0) {
+      console.log(chalk.yellow(`\n⚠ ${unused.length} 个组件没有被模板引用${report.generated ? '，也没有出现在任何页面中' : ''}:`));
+      unused.forEach(item => console.log(chalk.yellow(`  • ${item.name}`)));
+    }
+    console.log('');
+  }
+
+  formatScriptSize(js) {
+    if (js.files.length === 0) return '-';
+    return js.sharedSize > 0
+      ? `${Utils.formatSize(js.size)} (+${Utils.formatSize(js.sharedSize)} 共享)`
+      : Utils.formatSize(js.size);
+  }
+}
+
+module.exports = async function(args) {
+  try {
+    new ComponentInventory(this, args).run();
+  } catch (error) {
+    console.error(chalk.red('❌ 生成组件清单失败:'), error.message);
+    if (this.config.theme_builder && this.config.theme_builder.debug) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,20 @@
+// @vitest-environment jsdom
+// __NAME__ 组件测试（Vitest + jsdom）
+// npm install --save-dev vitest jsdom__TEST_DEPENDENCIES__
+
+import { describe, it, expect } from 'vitest';
+import { mount } from '../js/__ENTRY__';
+
+describe('__NAME__', () => {
+  it('挂载并返回卸载函数', () => {
+    const el = document.createElement('div');
+    el.innerHTML = '<button class="__NAME__-toggle"></button><div class="__NAME__-body" hidden></div>';
+    document.body.appendChild(el);
+
+    const unmount = mount(el, { title: 'test' });
+    expect(typeof unmount).toBe('function');
+
+    unmount();
+    el.remove();
+  });
+});
@@ -0,0 +1,25 @@
+// __NAME__ 组件入口
+// 开启 theme_builder.javascript.auto_mount 时由加载器调用 mount(el, props)，el 为 goose_component 输出的外层元素
+
+export function mount(el, props = {}) {
+  const toggle = el.querySelector('.__NAME__-toggle');
+  const body = el.querySelector('.__NAME__-body');
+  if (!toggle || !body) return undefined;
+
+  const onClick = () => {
+    body.hidden = !body.hidden;
+    toggle.setAttribute('aria-expanded', String(!body.hidden));
+    toggle.textContent = body.hidden ? '展开' : '收起';
+  };
+  toggle.addEventListener('click', onClick);
+
+  // 返回卸载函数，元素被移除时调用
+  return () => toggle.removeEventListener('click', onClick);
+}
+
+// 未开启自动挂载时，在页面中查找组件元素自行挂载
+if (!window.GooseComponents) {
+  document.querySelectorAll('[data-goose-component="__NAME__"]').forEach(el => {
+    mount(el, JSON.parse(el.getAttribute('data-goose-props') || '{}'));
+  });
+}
@@ -5,6 +5,9 @@ const path = require('path');
 const chalk = require('chalk');
 const archiver = require('archiver');
 const glob = require('glob');
+const AssetManifest = require('../asset-manifest');
+const AssetTags = require('../asset-tags');
+const SizeBudget = require('../size-budget');
 
 class ThemeExporter {
   constructor(hexo, customThemeName = null) {
@@ -24,6 +27,7 @@ class ThemeExporter {
     }
     
     this.targetDir = path.join(this.targetRoot, this.themeName);
+    this.assetManifest = new AssetManifest(this.themeRoot, AssetManifest.getIntegrityOptions(this.hexo.config));
   }
 
   // 主导出流程
@@ -188,6 +192,12 @@ class ThemeExporter {
       console.warn(chalk.yellow('⚠ 资源编译失败，将使用现有资源文件'));
       console.warn(chalk.gray(`  错误: ${error.message}`));
     }
+
+    // 读取构建清单，后续的标签替换以清单为准
+    this.assetManifest.load();
+    if (!this.assetManifest.exists()) {
+      console.warn(chalk.yellow(`⚠ 未找到构建清单 ${AssetManifest.FILE_NAME}，导出的主题将不包含编译资源引用`));
+    }
   }
 
   // 复制核心路径
@@ -215,7 +225,7 @@ class ThemeExporter {
             const isEjsFile = ext === '.ejs';
             
             // 明确排除的文件类型
-            const excludedExtensions = ['.css', '.js', '.scss', '.sass', '.less', '.json', '.md', '.txt', '.map'];
+            const excludedExtensions = ['.css', '.js', '.ts', '.tsx', '.vue', '.scss', '.sass', '.less', '.json', '.md', '.txt', '.map'];
             const isExcluded = excludedExtensions.includes(ext);
             
             if (isExcluded) {
@@ -270,12 +280,19 @@ class ThemeExporter {
     } else {
       console.log(chalk.yellow('⚠ _config.example.yml 不存在，跳过配置文件复制'));
     }
+
+    // 确认构建清单中的资源都已随 source/ 一起复制
+    const missingFiles = this.assetManifest.getFiles()
+      .filter(file => !fs.existsSync(path.join(this.targetDir, 'source', ...file.split('/'))));
+    missingFiles.forEach(file => {
+      console.warn(chalk.yellow(`⚠ 构建清单中的资源未能导出: source/${file}`));
+    });
   }
 
   // 处理其他文件
   async handleAdditionalFiles() {
     const coreItems = new Set(['layout', 'languages', 'scripts', 'source', '_config.yml', '_config.example.yml']);
-    const excludeItems = new Set(['tailwind.css']); // 额外排除的文件
+    const excludeItems = new Set(['tailwind.css', AssetManifest.FILE_NAME, SizeBudget.FILE_NAME]); // 额外排除的文件
     const allItems = fs.readdirSync(this.themeRoot);
     const additionalItems = allItems.filter(item => {
       const fullPath = path.join(this.themeRoot, item);
@@ -364,9 +381,6 @@ class ThemeExporter {
       return;
     }
 
-    // 获取资源文件信息
-    const assetTags = this.generateAssetTags();
-
     // 查找所有 .ejs 文件
     const ejsFiles = glob.sync('**/*.ejs', { 
       cwd: layoutDir,
@@ -374,24 +388,33 @@ class ThemeExporter {
     });
 
     let processedCount = 0;
+    const componentViews = this.collectComponentViews(layoutDir);
 
     for (const filePath of ejsFiles) {
       let content = fs.readFileSync(filePath, 'utf8');
       const originalContent = content;
 
-      // 替换 <%- load_theme_assets() %>
-      const regex = /<%[-=]\s*load_theme_assets\(\s*\)\s*%>/g;
+      // 导出的主题不加载插件，goose_component 调用改由模板内定义的同名函数处理
+      if (/\bgoose_component\s*\(/.test(content)) {
+        content = this.defineComponentHelper(content, componentViews);
+      }
+
+      // 替换 <%- load_theme_assets() %> 以及 <%- load_theme_assets(['gallery', 'search'], { nonce: page.csp_nonce }) %>
+      const regex = /<%[-=]\s*load_theme_assets\(([^)]*)\)\s*%>/g;
       
       if (regex.test(content)) {
-        content = content.replace(regex, assetTags);
-        
-        if (content !== originalContent) {
-          fs.writeFileSync(filePath, content, 'utf8');
-          processedCount++;
-          
-          const relativePath = path.relative(layoutDir, filePath);
-          console.log(chalk.green(`  ✓ ${relativePath} - 资源引用已替换`));
-        }
+        content = content.replace(regex, (match, args) => {
+          const { componentArgs, nonceExpression } = this.splitHelperArgs(args);
+          return this.generateAssetTags(this.parseComponentArgs(componentArgs), nonceExpression);
+        });
+      }
+
+      if (content !== originalContent) {
+        fs.writeFileSync(filePath, content, 'utf8');
+        processedCount++;
+
+        const relativePath = path.relative(layoutDir, filePath);
+        console.log(chalk.green(`  ✓ ${relativePath} - 资源引用已替换`));
       }
     }
 
@@ -402,55 +425,114 @@ class ThemeExporter {
     }
   }
 
+  // 导出主题中的组件模板：组件名称 → 视图路径，与 goose_component 相同地优先 <name>.ejs，其次 index.ejs
+  collectComponentViews(layoutDir) {
+    const componentsDir = path.join(layoutDir, 'components');
+    const views = {};
+    if (!fs.existsSync(componentsDir)) {
+      return views;
+    }
+
+    fs.readdirSync(componentsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const view = [`${entry.name}.ejs`, 'index.ejs']
+          .find(file => fs.existsSync(path.join(componentsDir, entry.name, file)));
+        if (view) {
+          views[entry.name] = `components/${entry.name}/${view}`;
+        }
+      });
+    return views;
+  }
+
+  /**
+   * 在模板开头定义 goose_component 函数，原有调用保持不变
+   * 与插件的助手输出相同：用 partial 渲染组件模板，外层包裹 data-goose-component 元素，
+   * 只是不再记录页面使用的组件（导出模板中的 load_theme_assets() 已替换为全部组件的标签）
+   * @param {string} content - 模板内容
+   * @param {Object<string, string>} views - 组件名称 → 视图路径，见 collectComponentViews
+   */
+  defineComponentHelper(content, views) {
+    const helper = [
+      '<% var goose_component = function (name, props, options) {',
+      `  var views = ${JSON.stringify(views)};`,
+      '  var escape = function (value) { return String(value).replace(/&/g, \'&amp;\').replace(/"/g, \'&quot;\').replace(/</g, \'&lt;\').replace(/>/g, \'&gt;\'); };',
+      '  props = props || {};',
+      '  options = options || {};',
+      '  var content = views[name] ? partial(views[name], Object.assign({}, props, { props: props })) : \'\';',
+      '  var attributes = \' data-goose-component="\' + escape(name) + \'"\';',
+      '  if (Object.keys(props).length > 0) attributes += \' data-goose-props="\' + escape(JSON.stringify(props)) + \'"\';',
+      '  if (options.load) attributes += \' data-goose-load="\' + escape(options.load) + \'"\';',
+      '  if (options.class) attributes += \' class="\' + escape(options.class) + \'"\';',
+      '  var tag = options.tag || \'div\';',
+      '  return \'<\' + tag + attributes + \'>\' + content + \'</\' + tag + \'>\';',
+      '}; -%>',
+      ''
+    ].join('\n');
+
+    // Hexo 视图以 front-matter 开头时，函数定义放在 front-matter 之后
+    const frontMatter = /^---\r?\n[\s\S]*?\r?\n---\r?\n/.exec(content);
+    const offset = frontMatter ? frontMatter[0].length : 0;
+    return content.slice(0, offset) + helper + content.slice(offset);
+  }
+
+  // 拆分 load_theme_assets 的组件参数和选项对象，选项中只识别 nonce
+  splitHelperArgs(args) {
+    const optionsMatch = /\{([^{}]*)\}/.exec(args || '');
+    if (!optionsMatch) {
+      return { componentArgs: args, nonceExpression: null };
+    }
+
+    const componentArgs = args.slice(0, optionsMatch.index) + args.slice(optionsMatch.index + optionsMatch[0].length);
+    const nonceMatch = /nonce\s*:\s*([^,]+)/.exec(optionsMatch[1]);
+    return {
+      componentArgs: componentArgs.replace(/,\s*$/, ''),
+      nonceExpression: nonceMatch ? nonceMatch[1].trim() : null
+    };
+  }
+
+  // 解析 load_theme_assets 的组件参数，仅支持字符串字面量
+  parseComponentArgs(args) {
+    if (!args || !args.trim()) {
+      return null;
+    }
+
+    const components = [];
+    const literalRegex = /['"]([^'"]+)['"]/g;
+    let match;
+    while ((match = literalRegex.exec(args)) !== null) {
+      components.push(match[1]);
+    }
+
+    if (components.length === 0) {
+      console.warn(chalk.yellow(`⚠ 无法解析 load_theme_assets 参数: ${args.trim()}，将加载全部组件`));
+      return null;
+    }
+    return components;
+  }
+
   // 生成资源标签
-  generateAssetTags() {
-    const tags = [];
-    
+  // nonceExpression 为模板中的 nonce 表达式，导出后仍由 EJS 在渲染时求值
+  generateAssetTags(components = null, nonceExpression = null) {
     try {
-      // 检查 CSS 文件
-      const cssDir = path.join(this.targetDir, 'source/css');
-      if (fs.existsSync(cssDir)) {
-        const cssFiles = fs.readdirSync(cssDir);
-        
-        const componentCssFiles = cssFiles.filter(file => {
-          return (
-            file.match(/^components\.styles\.[a-f0-9]{8}\.css$/) ||
-            file.match(/^components\.bundle\.[a-z0-9]{6}\.css$/) ||
-            file.match(/^component\.bundle\.[a-z0-9]{6}\.css$/)
-          );
-        });
-
-        componentCssFiles.sort().forEach(file => {
-          tags.push(`<link rel="stylesheet" href="/css/${file}">`);
-        });
-      }
-      
-      // 检查 JS 文件
-      const jsDir = path.join(this.targetDir, 'source/js');
-      if (fs.existsSync(jsDir)) {
-        const jsFiles = fs.readdirSync(jsDir);
-        
-        const componentFiles = jsFiles
-          .filter(file => file.startsWith('components.') && file.endsWith('.js') && !file.includes('loader'))
-          .sort((a, b) => {
-            const getNumber = (filename) => {
-              const match = filename.match(/components\.([^.]+)/);
-              return match ? match[1] : '';
-            };
-            const numA = getNumber(a);
-            const numB = getNumber(b);
-            return numA.localeCompare(numB);
-          });
-        
-        componentFiles.forEach(file => {
-          tags.push(`<script type="module" src="/js/${file}"></script>`);
-        });
-      }
+      const placeholder = '__GOOSE_CSP_NONCE__';
+      // 资源路径以使用主题的站点的 root 为前缀，由 EJS 在渲染时求值
+      const rootPlaceholder = '__GOOSE_ROOT__/';
+      const { tags, missing } = new AssetTags(this.assetManifest, {
+        ...AssetManifest.getIntegrityOptions(this.hexo.config),
+        nonce: nonceExpression ? placeholder : null,
+        root: rootPlaceholder
+      }).render(components);
+      missing.forEach(name => {
+        console.warn(chalk.yellow(`⚠ 组件 ${name} 不存在于构建清单中，跳过`));
+      });
+      return tags.join('\n')
+        .split(placeholder).join(`<%= ${nonceExpression} %>`)
+        .split(rootPlaceholder).join('<%- config.root %>');
     } catch (error) {
       console.warn(chalk.yellow('⚠ 生成资源标签时出错:'), error.message);
+      return '';
     }
-    
-    return tags.join('\n');
   }
 
   // 打包主题
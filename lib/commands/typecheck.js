@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const glob = require('glob');
+const Utils = require('../js-bundler/utils');
+const ThemeConfigModule = require('../js-bundler/theme-config-module');
+
+// 组件环境类型声明（import.meta.hot、样式模块）
+const GOOSE_ENV_TYPES = path.join(__dirname, '..', 'types', 'goose-env.d.ts');
+
+// 主题没有 tsconfig.json 时使用的编译选项，与打包流程保持一致（Babel 逐文件移除类型）
+const DEFAULT_COMPILER_ARGS = [
+  '--strict',
+  '--target', 'ES2020',
+  '--module', 'ESNext',
+  '--moduleResolution', 'bundler',
+  '--lib', 'ES2020,DOM,DOM.Iterable',
+  '--jsx', 'preserve',
+  '--isolatedModules',
+  '--allowImportingTsExtensions',
+  '--skipLibCheck'
+];
+
+// tsc --pretty false 的诊断格式：file(line,col): error TS1234: message
+const DIAGNOSTIC_PATTERN = /^(.+?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.*)$/;
+
+/**
+ * TypeScript 组件类型检查
+ * 调用站点或主题安装的 typescript 执行 tsc --noEmit，按组件分组输出错误
+ */
+class TypeCheck {
+  constructor(hexo) {
+    this.hexo = hexo;
+    this.themeDir = hexo.theme_dir;
+    this.layoutDir = path.join(hexo.theme_dir, 'layout');
+    this.tsconfigPath = path.join(hexo.theme_dir, 'tsconfig.json');
+  }
+
+  // 插件提供的类型声明，以及已生成的 goose:theme-config 类型声明
+  getDeclarationFiles() {
+    const files = [GOOSE_ENV_TYPES];
+    const themeConfigTypes = ThemeConfigModule.getTypesPath(this.hexo);
+    if (themeConfigTypes && fs.existsSync(themeConfigTypes)) {
+      files.push(themeConfigTypes);
+    }
+    return files;
+  }
+
+  async run() {
+    console.log(chalk.blue('\n🔍 Hexo Goose Builder - TypeScript 类型检查\n'));
+
+    if (!fs.existsSync(this.themeDir)) {
+      throw new Error(`主题目录不存在: ${this.themeDir}`);
+    }
+
+    const files = this.findSourceFiles();
+    if (files.length === 0) {
+      console.log(chalk.gray('⚪ 未发现 TypeScript 组件文件（layout/components/**/*.ts, *.tsx）'));
+      return true;
+    }
+
+    const tsc = this.resolveTsc();
+    const useTsconfig = fs.existsSync(this.tsconfigPath);
+    const args = useTsconfig
+      ? ['-p', this.tsconfigPath, '--noEmit', '--pretty', 'false']
+      : ['--noEmit', '--pretty', 'false', ...DEFAULT_COMPILER_ARGS, ...this.getDeclarationFiles(), ...files];
+
+    console.log(chalk.gray(`TypeScript: ${tsc.version}`));
+    console.log(chalk.gray(useTsconfig
+      ? `使用配置文件: ${path.relative(this.hexo.base_dir, this.tsconfigPath)}`
+      : `检查 ${files.length} 个文件（未找到 tsconfig.json，使用默认编译选项）`));
+
+    const result = spawnSync(process.execPath, [tsc.bin, ...args], {
+      cwd: this.themeDir,
+      encoding: 'utf8'
+    });
+
+    if (result.error) {
+      throw result.error;
+    }
+
+    const output = `${result.stdout || ''}${result.stderr || ''}`;
+    const diagnostics = this.parseDiagnostics(output);
+
+    if (result.status !== 0 && diagnostics.length === 0) {
+      // 无法解析的输出（例如配置错误）原样显示
+      console.log(output.trim());
+      return false;
+    }
+
+    this.report(diagnostics);
+    return diagnostics.every(diagnostic => diagnostic.category !== 'error');
+  }
+
+  // 组件目录下的 TypeScript 源文件（包括组件自带的 .d.ts）
+  findSourceFiles() {
+    return glob.sync('components/**/*.{ts,tsx}', {
+      cwd: this.layoutDir,
+      absolute: true,
+      nodir: true,
+      ignore: ['**/node_modules/**']
+    }).sort();
+  }
+
+  // 依次从站点、主题和插件目录查找 typescript
+  resolveTsc() {
+    let packagePath;
+    try {
+      packagePath = require.resolve('typescript/package.json', {
+        paths: [this.hexo.base_dir, this.themeDir, __dirname]
+      });
+    } catch (error) {
+      throw new Error('未找到 typescript，请先在站点中安装: npm install --save-dev typescript');
+    }
+
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    const binPath = typeof pkg.bin === 'string' ? pkg.bin : pkg.bin.tsc;
+    return {
+      version: pkg.version,
+      bin: path.join(path.dirname(packagePath), binPath)
+    };
+  }
+
+  // 解析诊断信息，缩进的后续行属于上一条诊断
+  parseDiagnostics(output) {
+    const diagnostics = [];
+
+    output.split(/\r?\n/).forEach(line => {
+      const match = DIAGNOSTIC_PATTERN.exec(line);
+      if (match) {
+        const file = path.resolve(this.themeDir, match[1]);
+        diagnostics.push({
+          file,
+          line: Number(match[2]),
+          column: Number(match[3]),
+          category: match[4],
+          code: match[5],
+          message: match[6],
+          component: this.getComponentName(file)
+        });
+      } else if (line.trim() && /^\s/.test(line) && diagnostics.length > 0) {
+        diagnostics[diagnostics.length - 1].message += `\n${line}`;
+      }
+    });
+
+    return diagnostics;
+  }
+
+  getComponentName(file) {
+    const relativePath = path.relative(this.layoutDir, file);
+    if (relativePath.startsWith('..') || !relativePath.startsWith(`components${path.sep}`)) {
+      return null;
+    }
+    return Utils.getComponentName(this.layoutDir, file);
+  }
+
+  report(diagnostics) {
+    if (diagnostics.length === 0) {
+      console.log(chalk.green('\n✓ 类型检查通过\n'));
+      return;
+    }
+
+    // 按组件分组，组件以外的文件归入最后一组
+    const groups = new Map();
+    diagnostics.forEach(diagnostic => {
+      const key = diagnostic.component || '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(diagnostic);
+    });
+
+    const keys = [...groups.keys()].sort((a, b) => {
+      if (!a) return 1;
+      if (!b) return -1;
+      return a.localeCompare(b);
+    });
+
+    keys.forEach(key => {
+      const items = groups.get(key);
+      console.log(chalk.yellow.bold(`\n${key ? `组件 ${key}` : '其他文件'} (${items.length})`));
+      items.forEach(diagnostic => {
+        const location = `${path.relative(this.themeDir, diagnostic.file).split(path.sep).join('/')}:${diagnostic.line}:${diagnostic.column}`;
+        const color = diagnostic.category === 'error' ? chalk.red : chalk.yellow;
+        console.log(`  ${chalk.cyan(location)} ${color(diagnostic.code)} ${diagnostic.message}`);
+      });
+    });
+
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.category === 'error').length;
+    console.log(chalk.red(`\n❌ 发现 ${errorCount} 个类型错误，涉及 ${keys.filter(Boolean).length} 个组件\n`));
+  }
+}
+
+module.exports = async function(args) {
+  const checker = new TypeCheck(this);
+
+  try {
+    const passed = await checker.run();
+    if (!passed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ 类型检查失败:'), error.message);
+    if (this.config.theme_builder && this.config.theme_builder.debug) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const chalk = require('chalk');
+const AssetTags = require('./asset-tags');
+
+// load_theme_assets 在页面渲染完成前输出的占位符（附带 nonce 等选项），由 after_render:html 过滤器替换为资源标签
+const PLACEHOLDER_PATTERN = /<!--goose:theme-assets(?: (\{.*?\}))?-->/g;
+const LOAD_STRATEGIES = ['visible', 'idle', 'interaction', 'eager'];
+// goose_component 输出的外层元素标记，属性值经过 AssetTags.escapeAttribute 转义
+const MARKER_PATTERN = /data-goose-component="([^"]*)"/g;
+
+/**
+ * goose_component 助手
+ *
+ * 渲染 layout/components/<name>/ 下的 EJS 模板（<name>.ejs 或 index.ejs），外层包裹
+ * data-goose-component 元素并把 props 序列化到 data-goose-props，供组件脚本（或自动挂载加载器）读取。
+ *
+ * 每次调用都会把组件记录到当前页面对象（助手的 this.page）。<head> 中的 load_theme_assets() 先于页面主体渲染，
+ * 因此未指定组件时先输出占位符，整页渲染完成后再按页面实际使用的组件替换为资源标签。
+ * 页面使用的组件取记录结果与整页 HTML 中 data-goose-component 标记的并集，
+ * 带缓存的 partial（fragment_cache、partial 的 cache 选项）不会再次调用助手，但输出中仍保留标记；
+ * 页面没有使用任何组件时仍加载全部组件，与之前的行为一致。
+ */
+class ComponentRenderer {
+  constructor(hexo) {
+    this.hexo = hexo;
+    // 页面对象 → 页面使用的组件名称（按首次使用顺序）
+    this.usage = new WeakMap();
+  }
+
+  // 资源标签占位符，options 与 load_theme_assets 的选项相同
+  static createPlaceholder(options = {}) {
+    const data = options.nonce ? ` ${JSON.stringify({ nonce: String(options.nonce) }).replace(/-->/g, '--\\u003e')}` : '';
+    return `<!--goose:theme-assets${data}-->`;
+  }
+
+  /**
+   * 渲染组件
+   * @param {Object} context - 助手的 this（模板局部变量）
+   * @param {string} name - 组件名称
+   * @param {Object} [props] - 组件参数，同时作为模板局部变量
+   * @param {Object} [options]
+   * @param {string} [options.tag] - 外层元素标签，默认 div
+   * @param {string} [options.load] - 自动挂载时机（data-goose-load）
+   * @param {string} [options.class] - 外层元素的 class
+   * @returns {string}
+   */
+  render(context, name, props = {}, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('goose_component 需要组件名称');
+    }
+
+    this.record(context.page, name);
+
+    const view = this.findView(name);
+    let content = '';
+    if (view) {
+      content = context.partial(view, { ...props, props });
+    } else {
+      console.warn(chalk.yellow(`[Goose Component] ⚠ 组件 ${name} 没有模板（layout/components/${name}/${name}.ejs 或 index.ejs）`));
+    }
+
+    const tag = options.tag || 'div';
+    const attributes = [`data-goose-component="${AssetTags.escapeAttribute(name)}"`];
+    if (props && Object.keys(props).length > 0) {
+      attributes.push(`data-goose-props="${AssetTags.escapeAttribute(JSON.stringify(props))}"`);
+    }
+    if (options.load) {
+      if (!LOAD_STRATEGIES.includes(options.load)) {
+        console.warn(chalk.yellow(`[Goose Component] ⚠ 组件 ${name} 的 load 选项无效: ${options.load}（可选 ${LOAD_STRATEGIES.join('、')}）`));
+      }
+      attributes.push(`data-goose-load="${AssetTags.escapeAttribute(options.load)}"`);
+    }
+    if (options.class) {
+      attributes.push(`class="${AssetTags.escapeAttribute(options.class)}"`);
+    }
+
+    return `<${tag} ${attributes.join(' ')}>${content}</${tag}>`;
+  }
+
+  // 组件模板的视图路径，优先 <name>.ejs，其次 index.ejs（组件目录中的同名 CSS 也是 Hexo 视图，必须带扩展名查找）
+  findView(name) {
+    const candidates = [`components/${name}/${name}.ejs`, `components/${name}/index.ejs`];
+    return candidates.find(candidate => this.hexo.theme.getView(candidate)) || null;
+  }
+
+  record(page, name) {
+    if (!page || typeof page !== 'object') {
+      return;
+    }
+    if (!this.usage.has(page)) {
+      this.usage.set(page, []);
+    }
+    const components = this.usage.get(page);
+    if (!components.includes(name)) {
+      components.push(name);
+    }
+  }
+
+  /**
+   * 页面使用的组件：通过 goose_component 记录的组件在前，其后是 HTML 中其余带标记的组件
+   * @param {Object} page - 页面对象
+   * @param {string} [html] - 整页渲染结果
+   * @returns {string[]|null} 未使用任何组件时为 null（加载全部组件）
+   */
+  getUsedComponents(page, html = '') {
+    const components = ((page && this.usage.get(page)) || []).slice();
+    ComponentRenderer.findMarkers(html).forEach(name => {
+      if (!components.includes(name)) components.push(name);
+    });
+    return components.length > 0 ? components : null;
+  }
+
+  // HTML 中 data-goose-component 标记的组件名称（按出现顺序去重）
+  static findMarkers(html) {
+    const names = [];
+    for (const match of String(html || '').matchAll(MARKER_PATTERN)) {
+      const name = ComponentRenderer.unescapeAttribute(match[1]);
+      if (name && !names.includes(name)) names.push(name);
+    }
+    return names;
+  }
+
+  static unescapeAttribute(value) {
+    return value
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 把整页渲染结果中的占位符替换为资源标签，每个页面只执行一次
+   * @param {string} html - 整页渲染结果
+   * @param {Object} locals - 页面路由的局部变量，locals.page 与助手的 this.page 是同一对象
+   * @param {function(string[]|null, Object): string} renderTags - 按组件列表和选项生成资源标签
+   */
+  replacePlaceholders(html, locals, renderTags) {
+    if (typeof html !== 'string' || !html.includes('<!--goose:theme-assets')) {
+      return html;
+    }
+    const components = this.getUsedComponents(locals && locals.page, html);
+    return html.replace(PLACEHOLDER_PATTERN, (match, data) => renderTags(components, data ? JSON.parse(data) : {}));
+  }
+}
+
+module.exports = ComponentRenderer;
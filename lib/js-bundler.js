@@ -2,15 +2,41 @@
 
 const BundlerConfig = require('./js-bundler/config');
 const BundlerCore = require('./js-bundler/bundler-core');
+const AssetManifest = require('./asset-manifest');
 
 class ComponentJSBundler {
-  constructor(hexo) {
-    this.config = new BundlerConfig(hexo);
-    this.bundlerCore = new BundlerCore(this.config);
+  // options.manifest: 共享的构建清单实例，未提供时从主题目录读取
+  // options.hmr: 是否启用组件热替换接口
+  // options.cache: 是否启用增量打包缓存
+  // options.legacy: 为 false 时跳过 nomodule 兼容构建
+  // options.analyze: 是否收集打包分析数据
+  // options.mode: 执行模式，决定组件中 import.meta.env 的取值
+  // options.outputDir: 输出根目录，默认主题 source 目录
+  constructor(hexo, options = {}) {
+    this.config = new BundlerConfig(hexo, {
+      hmr: options.hmr,
+      cache: options.cache,
+      legacy: options.legacy,
+      analyze: options.analyze,
+      mode: options.mode,
+      outputDir: options.outputDir
+    });
+    this.manifest = options.manifest || AssetManifest.fromHexo(hexo);
+    this.bundlerCore = new BundlerCore(this.config, this.manifest);
   }
 
-  async bundle() {
-    return this.bundlerCore.bundle();
+  async bundle(options = {}) {
+    return this.bundlerCore.bundle(options);
+  }
+
+  // 最近一次打包的分析数据，仅在 options.analyze 启用时收集
+  getAnalysis() {
+    return this.bundlerCore.esmProcessor.analysis;
+  }
+
+  // 最近一次打包失败的错误，打包成功时为 null
+  getLastError() {
+    return this.bundlerCore.lastError;
   }
 }
 
@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Utils = require('./utils');
+
+// 内置变量，theme_builder.define 中的同名键会被忽略
+const BUILTIN_KEYS = ['MODE', 'DEV', 'PROD', 'BASE_URL', 'THEME'];
+
+/**
+ * 组件代码中 import.meta.env 的编译期取值
+ *
+ *   MODE       执行模式（server、generate、deploy）
+ *   DEV        是否为 hexo server
+ *   PROD       是否为静态生成或部署
+ *   BASE_URL   站点根路径（Hexo 的 root 配置）
+ *   THEME      theme_builder.expose_theme_config 列出的主题配置项，按原有层级组织
+ *   其他键     theme_builder.define 中的值
+ *
+ *   theme_builder:
+ *     define:
+ *       API_ENDPOINT: https://api.example.com
+ *     expose_theme_config:
+ *       - analytics.google_id
+ *       - comments.provider
+ *
+ * 主题配置与模板中的 theme 变量一致：主题 _config.yml 合并站点 _config.yml 的 theme_config
+ * 和 _config.<theme>.yml。只暴露白名单中的键，避免把整个主题配置打包进前端代码。
+ */
+class BuildEnv {
+  /**
+   * 读取当前配置下的取值，每次打包前重新读取，hexo server 中修改主题配置后即可生效
+   * @param {Object} hexo - Hexo 实例
+   * @param {string} mode - 执行模式
+   * @returns {Object}
+   */
+  static load(hexo, mode) {
+    const config = hexo.config.theme_builder || {};
+    const env = {};
+
+    const define = config.define || {};
+    Object.keys(define).forEach(key => {
+      if (BUILTIN_KEYS.includes(key)) {
+        Utils.logWarning(hexo, `define 中的 ${key} 与内置变量同名，已忽略`, 'Build Env');
+        return;
+      }
+      env[key] = define[key];
+    });
+
+    env.MODE = mode;
+    env.DEV = mode === 'server';
+    env.PROD = !env.DEV;
+    env.BASE_URL = hexo.config.root || '/';
+    env.THEME = BuildEnv.pickThemeConfig(hexo, config.expose_theme_config || []);
+
+    return env;
+  }
+
+  // 按点分路径从合并后的主题配置中取出白名单配置项
+  static pickThemeConfig(hexo, keys) {
+    const picked = {};
+    if (!keys.length) {
+      return picked;
+    }
+
+    const themeConfig = BuildEnv.readThemeConfig(hexo);
+    keys.forEach(key => {
+      const segments = String(key).split('.');
+      let value = themeConfig;
+      for (const segment of segments) {
+        value = value && typeof value === 'object' ? value[segment] : undefined;
+      }
+
+      if (value === undefined) {
+        Utils.logDebug(hexo, `主题配置中不存在 ${key}，import.meta.env.THEME 中不包含该项`, 'Build Env');
+        return;
+      }
+
+      let target = picked;
+      segments.slice(0, -1).forEach(segment => {
+        if (!target[segment] || typeof target[segment] !== 'object') {
+          target[segment] = {};
+        }
+        target = target[segment];
+      });
+      target[segments[segments.length - 1]] = value;
+    });
+
+    return picked;
+  }
+
+  /**
+   * 合并后的主题配置
+   * hexo.theme.config 在主题加载后才有内容，静态模式在 ready 阶段打包时还为空，此时直接读取主题 _config.yml；
+   * hexo.config.theme_config 在初始化时已合并 _config.<theme>.yml，优先级最高，与 Hexo 的合并顺序一致
+   */
+  static readThemeConfig(hexo) {
+    const loaded = hexo.theme && hexo.theme.config;
+    const themeConfig = loaded && Object.keys(loaded).length ? loaded : BuildEnv.readThemeConfigFile(hexo);
+    return BuildEnv.mergeConfig(themeConfig, hexo.config.theme_config);
+  }
+
+  static readThemeConfigFile(hexo) {
+    const configPath = path.join(hexo.theme_dir, '_config.yml');
+    try {
+      return fs.existsSync(configPath) ? yaml.load(fs.readFileSync(configPath, 'utf8')) || {} : {};
+    } catch (error) {
+      Utils.logWarning(hexo, `读取主题配置失败: ${error.message}`, 'Build Env');
+      return {};
+    }
+  }
+
+  // 对象逐层合并，其余类型（包括数组）以 override 为准
+  static mergeConfig(base, override) {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(override)) {
+      return isObject(base) ? base : {};
+    }
+    const merged = Object.assign({}, isObject(base) ? base : {});
+    Object.keys(override).forEach(key => {
+      merged[key] = isObject(merged[key]) && isObject(override[key])
+        ? BuildEnv.mergeConfig(merged[key], override[key])
+        : override[key];
+    });
+    return merged;
+  }
+}
+
+module.exports = BuildEnv;
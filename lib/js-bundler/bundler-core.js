@@ -5,12 +5,18 @@ const fs = require('fs');
 const chalk = require('chalk');
 const Utils = require('./utils');
 const ESMProcessor = require('./esm-processor');
+const MountLoader = require('./mount-loader');
+const SourceMaps = require('../source-maps');
 
 class BundlerCore {
-  constructor(config) {
+  constructor(config, manifest) {
     this.config = config;
+    this.manifest = manifest;
     this.esmProcessor = new ESMProcessor(config);
+    this.mountLoader = new MountLoader(config);
     this.isProcessing = false;
+    // 最近一次打包失败的错误，打包成功后清空
+    this.lastError = null;
   }
 
   // 检查JS加密配置
@@ -38,9 +44,9 @@ class BundlerCore {
 
       if (stat.isDirectory()) {
         if (item === 'js') {
-          // 找到js目录，添加所有js文件
+          // 找到js目录，添加所有入口文件（.js、.ts、.tsx、.vue，类型声明文件除外）
           const jsFiles = fs.readdirSync(fullPath)
-            .filter(file => file.endsWith('.js'))
+            .filter(file => Utils.isEntryFile(file))
             .map(file => path.join(fullPath, file));
           results.push(...jsFiles);
         } else {
@@ -78,81 +84,123 @@ class BundlerCore {
     }
   }
 
-  // 清理旧的JS文件
-  cleanOldJsFiles(jsDir, skipClean = false) {
-    if (skipClean) {
-      Utils.logDebug(this.config.hexo, '跳过JS文件清理（由外部控制）', 'JSBundler');
-      return 0;
-    }
-
-    if (!fs.existsSync(jsDir)) return 0;
+  // 删除被新构建替换的旧文件（由构建清单给出，路径相对主题 source 目录）
+  removeRetiredFiles(files) {
+    let removedCount = 0;
 
-    let cleanedCount = 0;
-    const oldJsFiles = fs.readdirSync(jsDir);
-    
-    oldJsFiles.forEach(file => {
-      if (file.startsWith('components.') || file.startsWith('chunk-')) {
-        const filePath = path.join(jsDir, file);
-        try {
-          fs.unlinkSync(filePath);
-          Utils.logDebug(this.config.hexo, `删除旧JS文件: ${file}`, 'JSBundler');
-          cleanedCount++;
-        } catch (error) {
-          Utils.logError(this.config.hexo, `删除JS文件失败: ${file}`, error, 'JSBundler');
-        }
-      }
-    });
+    files.forEach(file => {
+      const filePath = this.manifest.getAbsolutePath(file);
+      if (!fs.existsSync(filePath)) return;
 
-    // 清理组件manifest文件
-    const manifestPath = path.join(jsDir, 'components.manifest.json');
-    if (fs.existsSync(manifestPath)) {
       try {
-        fs.unlinkSync(manifestPath);
-        Utils.logDebug(this.config.hexo, '删除旧manifest文件', 'JSBundler');
-        cleanedCount++;
+        fs.unlinkSync(filePath);
+        Utils.logDebug(this.config.hexo, `删除旧文件: ${file}`, 'JSBundler');
+        removedCount++;
       } catch (error) {
-        Utils.logError(this.config.hexo, '删除manifest文件失败', error, 'JSBundler');
+        Utils.logError(this.config.hexo, `删除旧文件失败: ${file}`, error, 'JSBundler');
       }
-    }
+    });
 
-    if (cleanedCount > 0) {
-      Utils.logDebug(this.config.hexo, `已清理 ${cleanedCount} 个旧JS文件`, 'JSBundler');
+    if (removedCount > 0) {
+      Utils.logDebug(this.config.hexo, `已清理 ${removedCount} 个旧文件`, 'JSBundler');
     }
 
-    return cleanedCount;
+    return removedCount;
   }
 
-  // 清理旧的组件CSS文件（仅限JS编译过程中产生的CSS文件）
-  cleanOldComponentCssFiles(cssDir, skipClean = false) {
-    if (skipClean) {
-      Utils.logDebug(this.config.hexo, '跳过组件CSS文件清理（由外部控制）', 'JSBundler');
-      return 0;
+  /**
+   * 按内容哈希重命名组件样式并移动到 CSS 目录，按 sourcemaps 模式重新附加 source map
+   * 组件样式插件输出的 map 对应临时文件名，哈希按去掉注释后的内容计算
+   * @param {string} sourcePath - 组件样式插件写在 JS 目录中的 CSS 文件
+   * @param {string} baseName - 输出文件名（不含哈希），例如 component.gallery-js-index
+   * @returns {{file: string, sourcemap: string|null}} CSS 文件和 source map（相对 source 目录）
+   */
+  moveStylesheet(sourcePath, baseName) {
+    const mapPath = `${sourcePath}.map`;
+    const css = SourceMaps.stripComment(fs.readFileSync(sourcePath, 'utf8'));
+    const hash = Utils.getFileHash(css).substring(0, 8);
+    const newFileName = `${baseName}.${hash}.css`;
+    const targetPath = path.join(this.config.cssDir, newFileName);
+    Utils.ensureDirectoryExists(this.config.cssDir);
+
+    let code = css;
+    let sourcemap = null;
+    if (fs.existsSync(mapPath)) {
+      if (this.config.sourcemaps) {
+        const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        map.sources = map.sources.map(source =>
+          SourceMaps.toThemePath(source, path.dirname(mapPath), this.config.hexo.theme_dir));
+        ({ code, sourcemap } = SourceMaps.attach({
+          code: css,
+          map,
+          file: `css/${newFileName}`,
+          mode: this.config.sourcemaps,
+          sourceDir: path.dirname(this.config.cssDir)
+        }));
+      }
+      fs.unlinkSync(mapPath);
     }
 
-    if (!fs.existsSync(cssDir)) return 0;
+    fs.writeFileSync(targetPath, code);
+    fs.unlinkSync(sourcePath);
+    Utils.logDebug(this.config.hexo, '生成组件CSS文件: ' +
+      chalk.cyan(path.relative(this.config.hexo.theme_dir, targetPath)) + ' ' +
+      chalk.gray(`(${Utils.formatSize(Buffer.byteLength(code))})`));
 
-    let cleanedCount = 0;
-    const oldCssFiles = fs.readdirSync(cssDir);
-    
-    oldCssFiles.forEach(file => {
-      // 仅匹配 component.bundle.[hash].css 格式（JS编译产生的CSS文件）
-      if (file.startsWith('component.bundle.') && file.endsWith('.css')) {
-        const filePath = path.join(cssDir, file);
-        try {
-          fs.unlinkSync(filePath);
-          Utils.logDebug(this.config.hexo, `删除旧组件CSS文件: ${file}`, 'JSBundler');
-          cleanedCount++;
-        } catch (error) {
-          Utils.logError(this.config.hexo, `删除组件CSS文件失败: ${file}`, error, 'JSBundler');
-        }
-      }
+    return { file: `css/${newFileName}`, sourcemap };
+  }
+
+  /**
+   * 移动按入口拆分的组件样式，生成 CSS 清单条目，并在使用它的入口条目上记录 css（按导入顺序）
+   * 只被一个入口使用的样式以 <入口名称>.css 命名并归属该组件；
+   * 被多个入口共同使用的样式以 shared/<入口组合哈希>.css 命名，入口组合不变时名称不变
+   * @param {Array<Object>} jsEntries - createManifestEntries 生成的 JS 条目
+   * @returns {Array<Object>} CSS 条目
+   */
+  createStyleEntries(jsEntries) {
+    const jsDir = this.config.getJsDir();
+    const byFile = new Map(jsEntries.map(entry => [entry.file, entry]));
+
+    return this.config.componentStyles.map(style => {
+      const owners = style.entries.map(file => byFile.get(`js/${file}`)).filter(Boolean);
+      const name = owners.length === 1
+        ? owners[0].name.replace(/\.js$/, '.css')
+        : `shared/${Utils.getFileHash(owners.map(owner => owner.name).sort().join('\n')).substring(0, 8)}.css`;
+      const baseName = `component.${name.replace(/\.css$/, '').split('/').join('-')}`;
+      const { file, sourcemap } = this.moveStylesheet(path.join(jsDir, style.fileName), baseName);
+
+      owners.forEach(owner => {
+        owner.css = [...(owner.css || []), name];
+      });
+      return {
+        name,
+        file,
+        type: 'css',
+        component: owners.length === 1 ? owners[0].component : null,
+        sourcemap
+      };
     });
+  }
 
-    if (cleanedCount > 0) {
-      Utils.logDebug(this.config.hexo, `已清理 ${cleanedCount} 个旧组件CSS文件`, 'JSBundler');
+  // 将本次打包的 JS 分块、组件 CSS 和复制的静态资源写入构建清单
+  updateManifest(bundleResult, componentsDir) {
+    const jsEntries = this.esmProcessor.createManifestEntries(bundleResult, componentsDir);
+    const styleEntries = this.createStyleEntries(jsEntries);
+    if (this.config.autoMount) {
+      jsEntries.push(...this.mountLoader.generate(jsEntries, styleEntries));
     }
 
-    return cleanedCount;
+    const assetEntries = [...this.config.copiedAssets.values()].map(asset => ({
+      name: path.relative(this.config.hexo.theme_dir, asset.source).split(path.sep).join('/'),
+      // 访问路径带有站点 root 前缀，清单中的文件路径由复制目标计算
+      file: path.relative(this.config.sourceDir, asset.target).split(path.sep).join('/'),
+      type: 'asset'
+    }));
+
+    return [
+      ...this.manifest.setPipeline('js', [...jsEntries, ...styleEntries]),
+      ...this.manifest.setPipeline('assets', assetEntries)
+    ];
   }
 
   async bundle(options = {}) {
@@ -162,6 +210,7 @@ class BundlerCore {
     
     try {
       this.isProcessing = true;
+      this.lastError = null;
 
       Utils.logInfo(this.config.hexo, '开始打包组件JS文件...');
       
@@ -174,7 +223,7 @@ class BundlerCore {
       Utils.logDebug(this.config.hexo, `JS加密状态: ${encryptionConfig.enabled ? 
         '已启用 (' + encryptionStatus.join(', ') + ')' : 
         '已禁用'}`);
-      Utils.logDebug(this.config.hexo, `CSS输出路径: ${this.config.cssFullPath}`);
+      Utils.logDebug(this.config.hexo, `CSS输出目录: ${this.config.cssDir}`);
 
       const componentsDir = this.config.getComponentsDir();
       const jsFiles = this.findJsFiles(componentsDir);
@@ -211,66 +260,36 @@ class BundlerCore {
       const cssDir = this.config.getCssDir();
       Utils.ensureDirectoryExists(cssDir);
 
-      // 清理旧文件（可控制）
-      if (!skipClean) {
-        Utils.logDebug(this.config.hexo, '清理旧文件...', 'JSBundler');
-        this.cleanOldJsFiles(jsDir, false);
-        this.cleanOldComponentCssFiles(cssDir, false);
-      }
-
       // 使用 Rollup 处理文件
+      this.config.copiedAssets.clear();
+      this.config.componentStyles = [];
       const bundleResult = await this.processFiles(jsFiles, componentsDir);
-      
-      // 检查文件是否生成
-      const generatedJsFiles = fs.readdirSync(jsDir).filter(file => file.endsWith('.js'));
-      
-      // 移动 CSS 文件到正确的目录并重命名
-      const cssFiles = fs.readdirSync(jsDir).filter(file => file.endsWith('.css'));
-      if (cssFiles.length > 0) {
-        cssFiles.forEach(cssFile => {
-          const sourcePath = path.join(jsDir, cssFile);
-          // 生成新的文件名：component.bundle.[hash].css
-          const hash = Math.random().toString(36).substring(2, 8);
-          const newFileName = `component.bundle.${hash}.css`;
-          const targetPath = path.join(this.config.cssDir, newFileName);
-          try {
-            // 确保目标目录存在
-            Utils.ensureDirectoryExists(this.config.cssDir);
-            // 移动并重命名文件
-            fs.renameSync(sourcePath, targetPath);
-            Utils.logSuccess('✓ 移动并重命名CSS文件:', 
-              chalk.cyan(`${path.relative(this.config.hexo.theme_dir, targetPath)}`));
-          } catch (error) {
-            Utils.logError(`无法移动CSS文件 ${cssFile}:`, error);
-          }
-        });
+      if (bundleResult.length === 0) {
+        // 打包失败时保留上一次的构建结果和清单记录
+        this.lastError = this.esmProcessor.lastError;
+        Utils.logWarning(this.config.hexo, '打包未生成任何文件，保留上一次的构建结果');
+        return null;
       }
       
-      // 重新统计文件
-      const generatedCssFiles = fs.readdirSync(this.config.cssDir).filter(file => file.endsWith('.css'));
-      
-      // 输出JS加密状态
-      if (encryptionConfig.enabled) {
-        if (encryptionConfig.minify) {
-        }
-        if (encryptionConfig.protect) {
-        }
+      // 更新构建清单（组件样式在此按内容哈希重命名），并清理不再使用的旧文件
+      const retiredFiles = this.updateManifest(bundleResult, componentsDir);
+      if (!skipClean) {
+        this.removeRetiredFiles(retiredFiles);
       }
-      
-      // 如果生成了 CSS 文件，输出相关信息
-      if (fs.existsSync(this.config.cssFullPath)) {
-        const cssSize = fs.statSync(this.config.cssFullPath).size;
-        Utils.logSuccess('✓ 生成组件CSS文件:', 
-          chalk.cyan(path.relative(this.config.hexo.theme_dir, this.config.cssFullPath)),
-          chalk.gray(`(${Utils.formatSize(cssSize)})`));
+
+      const stylesheets = this.manifest.getAssets({ type: 'css', pipeline: 'js' });
+      if (stylesheets.length > 0) {
+        Utils.logSuccess(this.config.hexo, `生成 ${stylesheets.length} 个组件CSS文件: ` +
+          chalk.cyan(stylesheets.map(asset => asset.name).join(', ')));
       }
 
       return {
         chunks: bundleResult.map(chunk => chunk.fileName),
-        css: this.config.cssFullPath
+        css: stylesheets.map(asset => this.manifest.getAbsolutePath(asset.file))
       };
     } catch (error) {
       console.error(chalk.red('\n❌ 打包组件JS时发生错误:'), error);
+      this.lastError = error;
       return null;
     } finally {
       this.isProcessing = false;
@@ -0,0 +1,211 @@
+'use strict';
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+const Utils = require('./utils');
+
+// 未配置 javascript.chunks 时的默认分组，按顺序匹配，先匹配的分组生效
+const DEFAULT_GROUPS = {
+  'vendor-framework': { packages: ['vue', '@vue/*'] },
+  'vendor-markdown': { packages: ['katex', 'marked'] },
+  vendor: { packages: ['*'] },
+  shared: { include: ['layout/**/utils/**', 'layout/**/shared/**', 'layout/**/helpers/**'] }
+};
+
+// 这两个分块沿用加入分组配置之前的文件名，其他分块为 components.<分块名称>.[hash].js
+const PREVIOUS_FILE_NAMES = new Map([
+  ['vendor-framework', 'components.vendor.framework.[hash].js'],
+  ['vendor-markdown', 'components.vendor.markdown.[hash].js']
+]);
+
+/**
+ * 共享分块策略
+ *
+ * 根据 theme_builder.javascript.chunks 生成 Rollup 的 manualChunks 和分块文件名。
+ * 每个分组以分块名称为键，可以按依赖包名（packages，支持 glob，`*` 匹配所有依赖包）
+ * 或按相对主题目录的文件路径（include，glob）匹配模块：
+ *
+ *   chunks:
+ *     vendor-framework:
+ *       packages: [vue, "@vue/*"]
+ *     vendor:
+ *       packages: ["*"]
+ *       max_size: 200KB    # 超过后按依赖包拆分
+ *       min_size: 20KB     # 拆分时小于该值的依赖包留在 vendor 中
+ *
+ * 配置 chunks 后完全替换默认分组，设置为 false 时不做手动分块。
+ */
+class ChunkStrategy {
+  /**
+   * @param {Object|boolean|undefined} chunksConfig - javascript.chunks 配置
+   * @param {Object} hexo - Hexo 实例
+   */
+  constructor(chunksConfig, hexo) {
+    this.hexo = hexo;
+    this.themeDir = hexo.theme_dir;
+    this.layoutDir = path.join(hexo.theme_dir, 'layout');
+    this.enabled = chunksConfig !== false;
+    this.groups = this.enabled ? this.normalizeGroups(chunksConfig || DEFAULT_GROUPS) : [];
+    // 本次输出中由分组产生的分块名称，用于决定分块文件名
+    this.chunkNames = new Set();
+  }
+
+  normalizeGroups(config) {
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      Utils.logWarning(this.hexo, 'javascript.chunks 应为分组名称到匹配规则的映射，已使用默认分组');
+      config = DEFAULT_GROUPS;
+    }
+
+    return Object.keys(config).map(name => {
+      // 数组是 packages 的简写
+      const spec = Array.isArray(config[name]) ? { packages: config[name] } : (config[name] || {});
+      const group = {
+        name: ChunkStrategy.sanitizeName(name),
+        packages: [].concat(spec.packages || []).map(String),
+        include: [].concat(spec.include || []).map(String),
+        maxSize: spec.max_size !== undefined ? Utils.parseSize(spec.max_size) : null,
+        minSize: spec.min_size !== undefined ? Utils.parseSize(spec.min_size) : 0
+      };
+
+      if (group.packages.length === 0 && group.include.length === 0) {
+        Utils.logWarning(this.hexo, `分块分组 ${name} 没有配置 packages 或 include，已忽略`);
+        return null;
+      }
+      if (spec.max_size !== undefined && group.maxSize === null) {
+        Utils.logWarning(this.hexo, `分块分组 ${name} 的 max_size 无法解析: ${spec.max_size}`);
+      }
+      return group;
+    }).filter(Boolean);
+  }
+
+  // 分块名称会出现在文件名中，只保留字母、数字、- 和 _
+  static sanitizeName(name) {
+    return String(name).replace(/^@/, '').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * 解析模块所属的依赖包或主题文件
+   * @returns {{packageName: string|null, file: string|null}}
+   */
+  resolveModule(id) {
+    // 去掉 Rollup 插件的虚拟模块前缀和查询参数
+    const cleanId = id.replace(/^\0/, '').split('?')[0].split(path.sep).join('/');
+    const index = cleanId.lastIndexOf('/node_modules/');
+
+    if (index !== -1) {
+      const parts = cleanId.slice(index + '/node_modules/'.length).split('/');
+      const packageName = parts[0].startsWith('@') ? `${parts[0]}/${parts[1]}` : parts[0];
+      return { packageName, file: null };
+    }
+
+    if (!path.isAbsolute(cleanId)) {
+      return { packageName: null, file: null };
+    }
+
+    const file = path.relative(this.themeDir, cleanId).split(path.sep).join('/');
+    return { packageName: null, file: file.startsWith('..') ? null : file };
+  }
+
+  matchGroup(module) {
+    return this.groups.find(group => {
+      if (module.packageName) {
+        return group.packages.some(pattern => pattern === '*' || minimatch(module.packageName, pattern));
+      }
+      return module.file !== null && group.include.some(pattern => minimatch(module.file, pattern, { dot: true }));
+    }) || null;
+  }
+
+  // 自动拆分的单位：依赖包按包名，主题文件按所属组件（组件目录以外按第一级目录）
+  getSplitUnit(module) {
+    if (module.packageName) {
+      return module.packageName;
+    }
+    const absolute = path.join(this.themeDir, module.file);
+    if (module.file.startsWith('layout/components/')) {
+      return Utils.getComponentName(this.layoutDir, absolute);
+    }
+    return module.file.split('/')[0];
+  }
+
+  /**
+   * 统计超过 max_size 的分组，计算拆分后每个模块所属的分块
+   * 大小按转换后的模块代码计算（压缩前）
+   */
+  planSplits(api) {
+    const groups = new Map();
+
+    for (const id of api.getModuleIds()) {
+      const module = this.resolveModule(id);
+      const group = this.matchGroup(module);
+      if (!group || group.maxSize === null) continue;
+
+      const info = api.getModuleInfo(id);
+      const size = info && info.code ? Buffer.byteLength(info.code) : 0;
+      if (!groups.has(group)) groups.set(group, { total: 0, units: new Map() });
+
+      const stats = groups.get(group);
+      const unit = this.getSplitUnit(module);
+      stats.total += size;
+      stats.units.set(unit, (stats.units.get(unit) || 0) + size);
+    }
+
+    const splits = new Map();
+    groups.forEach((stats, group) => {
+      if (stats.total <= group.maxSize) return;
+
+      const names = new Map();
+      stats.units.forEach((size, unit) => {
+        if (size >= group.minSize) {
+          names.set(unit, `${group.name}-${ChunkStrategy.sanitizeName(unit)}`);
+        }
+      });
+      splits.set(group, names);
+
+      Utils.logDebug(this.hexo,
+        `分块 ${group.name} 共 ${Utils.formatSize(stats.total)}，超过 ${Utils.formatSize(group.maxSize)}，拆分为 ${names.size} 个分块`,
+        'ESM Processor');
+    });
+
+    return splits;
+  }
+
+  /**
+   * 创建本次输出使用的 manualChunks 函数，未启用手动分块时返回 undefined
+   * @returns {Function|undefined}
+   */
+  createManualChunks() {
+    this.chunkNames.clear();
+    if (!this.enabled || this.groups.length === 0) {
+      return undefined;
+    }
+
+    let splits = null;
+    return (id, api) => {
+      const module = this.resolveModule(id);
+      const group = this.matchGroup(module);
+      if (!group) {
+        // 其他模块由 Rollup 自动分块
+        return null;
+      }
+
+      if (splits === null) {
+        splits = this.planSplits(api);
+      }
+
+      const names = splits.get(group);
+      const name = (names && names.get(this.getSplitUnit(module))) || group.name;
+      this.chunkNames.add(name);
+      return name;
+    };
+  }
+
+  // 分组产生的分块使用分块名称命名，Rollup 自动拆出的分块使用通用名称
+  getChunkFileName(chunkInfo) {
+    if (this.chunkNames.has(chunkInfo.name)) {
+      return PREVIOUS_FILE_NAMES.get(chunkInfo.name) || `components.${chunkInfo.name}.[hash].js`;
+    }
+    return 'components.[hash].chunk.js';
+  }
+}
+
+module.exports = ChunkStrategy;
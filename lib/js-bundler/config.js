@@ -1,21 +1,64 @@
  'use strict';
 
 const path = require('path');
+const ChunkStrategy = require('./chunk-strategy');
+const SourceMaps = require('../source-maps');
+
+// 不支持 ES 模块的浏览器，legacy 构建默认按此目标降级到 ES5
+// 兼容构建不注入 polyfill，默认目标只包含原生支持 Promise、Map、Symbol 等 API 的浏览器，不含 IE 11
+const DEFAULT_LEGACY_TARGETS = ['safari >= 9', 'chrome >= 49', 'firefox >= 52'];
 
 class BundlerConfig {
-  constructor(hexo) {
+  // options.hmr: 是否为组件注入 import.meta.hot 热替换接口（仅 hexo server）
+  // options.cache: 是否在多次打包之间保留 Rollup 缓存（仅 hexo server）
+  // options.legacy: 为 false 时跳过 nomodule 兼容构建（hexo server 下只面向现代浏览器）
+  // options.analyze: 是否收集打包分析数据（hexo goose analyze）
+  // options.mode: 执行模式（server、generate、deploy），决定 import.meta.env.MODE，默认 generate
+  // options.outputDir: 输出根目录（其下的 js、css 目录），默认主题 source 目录；hexo goose analyze 输出到临时目录
+  constructor(hexo, options = {}) {
     this.hexo = hexo;
+    this.sourceDir = options.outputDir || path.join(hexo.theme_dir, 'source');
+    this.mode = options.mode || 'generate';
+    this.hmr = options.hmr === true;
+    this.cache = options.cache === true;
+    this.analyze = options.analyze === true;
     
     // 从配置中读取加密设置
     const config = hexo.config.theme_builder || {};
     this.enableEncryption = config.js_encryption === true;
+
+    // JSX 转换配置，原样传给 Rollup 的 jsx 选项（如 'react'、'react-jsx' 或对象形式）
+    this.jsx = (config.javascript && config.javascript.jsx) || false;
+
+    // 语法降级的 browserslist 目标（如 'defaults, safari >= 12'），未配置时输出原始语法
+    this.targets = (config.javascript && config.javascript.targets) || null;
+
+    // nomodule 兼容构建：javascript.legacy 为 true 或 { targets } 时启用
+    this.legacy = options.legacy === false ? null : BundlerConfig.getLegacyOptions(config.javascript);
+
+    // 组件自动挂载：生成按 data-goose-component 懒加载入口的加载器
+    this.autoMount = Boolean(config.javascript && config.javascript.auto_mount);
+
+    // 共享分块分组（javascript.chunks），决定 manualChunks 和分块文件名
+    this.chunkStrategy = new ChunkStrategy(config.javascript && config.javascript.chunks, hexo);
+
+    // source map 模式（theme_builder.sourcemaps）：inline、external、hidden，未启用时为 null
+    this.sourcemaps = SourceMaps.getMode(hexo.config);
+
+    // 组件中 import.meta.env 的取值，每次打包前由 BuildEnv 重新读取
+    this.env = null;
+
+    // 每个源文件被降级的语法特性，跨增量构建保留（文件重新转译时更新）
+    this.loweredSyntax = new Map();
     
-    // CSS 输出配置
-    const cssFileName = 'components.styles.' + Math.random().toString(36).substring(2, 8) + '.css';
-    this.cssFileName = cssFileName;
-    this.cssDir = path.join(this.hexo.theme_dir, 'source/css');
-    this.cssFullPath = path.join(this.cssDir, cssFileName);
-    this.cssOutputPath = cssFileName; // Rollup 使用的文件名
+    // CSS 输出配置（文件名在打包完成后根据内容哈希确定）
+    this.cssDir = path.join(this.sourceDir, 'css');
+
+    // 本次打包按入口拆分的组件样式（临时文件名 → 使用它的入口分块），见 plugins/component-css
+    this.componentStyles = [];
+
+    // 本次打包中由 postcss 复制的静态资源（源文件路径 → 复制结果）
+    this.copiedAssets = new Map();
     
     // Terser配置
     this.terserOptions = {
@@ -48,7 +91,7 @@ class BundlerConfig {
         beautify: false,
         comments: false
       },
-      sourceMap: false,
+      sourceMap: this.sourcemaps !== null,
       ecma: 2020,
       nameCache: null
     };
@@ -87,8 +130,18 @@ class BundlerConfig {
     };
   }
 
+  static getLegacyOptions(jsConfig = {}) {
+    const legacy = jsConfig && jsConfig.legacy;
+    if (!legacy) {
+      return null;
+    }
+    return {
+      targets: (typeof legacy === 'object' && legacy.targets) || DEFAULT_LEGACY_TARGETS
+    };
+  }
+
   getJsDir() {
-    return path.join(this.hexo.theme_dir, 'source/js');
+    return path.join(this.sourceDir, 'js');
   }
 
   getComponentsDir() {
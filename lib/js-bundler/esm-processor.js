@@ -1,23 +1,40 @@
 'use strict';
 
 const path = require('path');
+const fs = require('fs');
 const rollup = require('rollup');
 const chalk = require('chalk');
 const Utils = require('./utils');
 const JsEncryption = require('./js-encryption');
 const ProgressLogger = require('../progress-logger');
+const bundleAnalyzer = require('./plugins/bundle-analyzer');
+const legacyLowering = require('./plugins/legacy-lowering');
+const legacyMount = require('./plugins/legacy-mount');
+const SourceMaps = require('../source-maps');
+const BuildEnv = require('./build-env');
+const ThemeConfigModule = require('./theme-config-module');
+const MountLoader = require('./mount-loader');
 
 class ESMProcessor {
   constructor(config) {
     this.config = config;
     this.jsEncryption = new JsEncryption(config.hexo);
     this.progressLogger = new ProgressLogger('ESM Bundle');
+    // 最近一次打包失败的 Rollup 错误
+    this.lastError = null;
+    // 上一次打包的 Rollup 缓存，未变化的模块无需重新解析和转换
+    this.cache = undefined;
+    // 首次（无缓存）构建耗时，用于和增量构建对比
+    this.fullBuildTime = null;
+    // 最近一次打包的分析数据（config.analyze 启用时）
+    this.analysis = null;
   }
 
   async bundleESM(files, componentsDir) {
     // 计算总的处理步骤数量
     const totalSteps = 5 + files.length; // 5个主要步骤 + 每个JS文件的处理
     let currentStep = 0;
+    this.lastError = null;
     
     try {
       // 初始化进度条
@@ -34,7 +51,7 @@ class ESMProcessor {
         const componentName = relativePath.split(path.sep)[0];
         
         // 使用相对路径作为入口点名称，这样可以保持目录结构
-        const entryName = relativePath.replace(/\.js$/, '');
+        const entryName = relativePath.replace(/\.(js|ts|tsx|vue)$/, '');
         entryPoints[entryName] = file;
       });
 
@@ -51,102 +68,53 @@ class ESMProcessor {
 
       // 步骤2: Rollup 配置和构建
       this.progressLogger.updateProgress(++currentStep);
+      this.refreshEnv();
+      const incremental = this.config.cache && this.cache !== undefined;
+      const buildStart = Date.now();
       const bundle = await rollup.rollup({
         input: entryPoints,
+        cache: this.config.cache ? this.cache : false,
+        // .tsx 中的 JSX 由 Rollup 按 theme_builder.javascript.jsx 转换，未配置时不支持 JSX
+        jsx: this.config.jsx,
         plugins: this.config.rollupConfig.plugins,
-        external: (id) => {
-          // 将 CDN 链接标记为外部依赖
-          if (id.startsWith('https://') || id.startsWith('http://')) {
-            return true;
-          }
-          // 其他外部依赖处理
-          return false;
-        },
-        onwarn: (warning, warn) => {
-          // 忽略循环依赖警告
-          if (warning.code === 'CIRCULAR_DEPENDENCY') return;
-          // 忽略空包警告
-          if (warning.code === 'EMPTY_BUNDLE') return;
-          // 忽略无法解析的 CDN 导入警告
-          if (warning.code === 'UNRESOLVED_IMPORT' && 
-              warning.source && 
-              (warning.source.startsWith('https://') || warning.source.startsWith('http://'))) {
-            Utils.logDebug(this.config.hexo, `外部 CDN 依赖: ${warning.source}`, 'ESM Processor');
-            return;
-          }
-          warn(warning);
-        }
+        external: (id) => this.isExternal(id),
+        onwarn: (warning, warn) => this.handleWarning(warning, warn)
       });
 
+      this.logBuildTime(Date.now() - buildStart, incremental);
+      this.reportLoweredSyntax(bundle.watchFiles);
+      if (this.config.cache) {
+        this.cache = bundle.cache;
+      }
+
       Utils.logDebug(this.config.hexo, '生成输出...', 'ESM Processor');
 
       // 步骤3: 生成输出文件
       this.progressLogger.updateProgress(++currentStep);
       Utils.logDebug(this.config.hexo, '正在写入文件...', 'ESM Processor');
+      // JS加密和压缩在 renderChunk 阶段完成，保证文件名哈希基于最终输出内容
       const { output } = await bundle.write({
         dir: jsDir,
         format: 'es',
+        plugins: this.getOutputPlugins(componentsDir),
         entryFileNames: 'components.[hash].bundle.js',
-        chunkFileNames: (chunkInfo) => {
-          // 根据分块名称生成文件名
-          if (chunkInfo.name === 'vendor-framework') {
-            return 'components.vendor.framework.[hash].js';
-          }
-          if (chunkInfo.name === 'vendor-markdown') {
-            return 'components.vendor.markdown.[hash].js';
-          }
-          if (chunkInfo.name === 'vendor') {
-            return 'components.vendor.[hash].js';
-          }
-          if (chunkInfo.name === 'shared') {
-            return 'components.shared.[hash].js';
-          }
-          // 其他模块代码
-          return 'components.[hash].chunk.js';
-        },
-        manualChunks(id) {
-          // 如果是 node_modules 中的模块，统一放入 vendor
-          if (id.includes('node_modules')) {
-            // 根据依赖类型进行分组
-            if (id.includes('vue')) {
-              return 'vendor-framework';
-            }
-            if (id.includes('katex') || id.includes('marked')) {
-              return 'vendor-markdown';
-            }
-            return 'vendor';
-          }
-          
-          // 工具函数和共享代码
-          if (id.includes('/utils/') || id.includes('/shared/') || id.includes('/helpers/')) {
-            return 'shared';
-          }
-          
-          // 其他模块保持独立
-          return null;
-        }
+        // 分块名称和文件名由 javascript.chunks 分组决定
+        manualChunks: this.config.chunkStrategy.createManualChunks(),
+        chunkFileNames: (chunkInfo) => this.config.chunkStrategy.getChunkFileName(chunkInfo),
+        ...SourceMaps.getRollupOptions(this.config.sourcemaps, this.config.hexo.theme_dir)
       });
 
-      // 步骤4: 处理JS文件加密和压缩
+      // 步骤4: 收集已处理（加密和压缩）的输出文件
       this.progressLogger.updateProgress(++currentStep);
       const processedOutput = [];
       let processedJsCount = 0;
       
       for (const chunk of output) {
         if (chunk.type === 'chunk' && chunk.code) {
-          // 对JS代码进行加密处理
-          const processedCode = await this.jsEncryption.process(chunk.code, chunk.fileName);
-          
-          // 更新chunk中的代码
-          chunk.code = processedCode;
-          
-          // 写入处理后的文件
-          const filePath = path.join(jsDir, chunk.fileName);
-          require('fs').writeFileSync(filePath, processedCode);
-          
           // 更新进度（每处理一个JS文件）
           processedJsCount++;
           this.progressLogger.updateProgress(currentStep + processedJsCount);
+          chunk.sourcemap = this.getChunkSourcemap(chunk);
         }
         processedOutput.push(chunk);
       }
@@ -154,39 +122,25 @@ class ESMProcessor {
       // 更新到JS处理完成的步骤
       currentStep += files.length;
 
-      // 步骤5: 创建manifest和处理CSS
+      // 步骤5: 处理CSS输出
       this.progressLogger.updateProgress(++currentStep);
-      const manifest = {};
-      processedOutput.forEach(chunk => {
-        if (chunk.isEntry) {
-          const componentName = path.basename(chunk.facadeModuleId).split(path.sep)[0];
-          manifest[componentName] = {
-            file: chunk.fileName,
-            imports: chunk.imports,
-            dynamicImports: chunk.dynamicImports
-          };
-        }
-      });
-
-      // 保存manifest
-      const manifestPath = path.join(jsDir, 'components.manifest.json');
-      require('fs').writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
-
-      // 处理CSS输出
       let cssCount = 0;
       processedOutput.forEach(chunk => {
         if (chunk.type === 'asset' && chunk.fileName.endsWith('.css')) {
           cssCount++;
-          // CSS文件已经由postcss插件写入到正确的位置
-          const relativePath = path.relative(this.config.hexo.theme_dir, this.config.cssFullPath)
-            .split(path.sep)
-            .join('/');
-          Utils.logDebug(this.config.hexo, `CSS文件已生成: ${relativePath} (${Utils.formatSize(chunk.source.length)})`, 'ESM Processor');
+          // CSS文件由postcss插件写入JS目录，稍后由 BundlerCore 按内容哈希重命名并移动
+          Utils.logDebug(this.config.hexo, `CSS文件已生成: ${chunk.fileName} (${Utils.formatSize(chunk.source.length)})`, 'ESM Processor');
         }
       });
 
       await bundle.close();
 
+      // nomodule 兼容构建，与 ESM 输出一起返回并写入构建清单
+      if (this.config.legacy) {
+        const legacyOutput = await this.bundleLegacy(entryPoints, jsDir, this.getMountEntries(output, componentsDir));
+        processedOutput.push(...legacyOutput);
+      }
+
       // 统计处理结果
       const jsFiles = processedOutput.filter(chunk => chunk.type === 'chunk');
       const cssFiles = processedOutput.filter(chunk => chunk.type === 'asset' && chunk.fileName.endsWith('.css'));
@@ -199,7 +153,9 @@ class ESMProcessor {
       Utils.logDebug(this.config.hexo, '文件生成统计:', 'ESM Processor');
       jsFiles.forEach(chunk => {
         const size = chunk.code ? Utils.formatSize(chunk.code.length) : '0B';
-        if (chunk.isEntry) {
+        if (chunk.legacy) {
+          Utils.logDebug(this.config.hexo, `  ├─ 兼容入口: ${chunk.fileName} (${size})`, 'ESM Processor');
+        } else if (chunk.isEntry) {
           Utils.logDebug(this.config.hexo, `  ├─ 入口文件: ${chunk.fileName} (${size})`, 'ESM Processor');
         } else {
           Utils.logDebug(this.config.hexo, `  ├─ 分块文件: ${chunk.fileName} (${size})`, 'ESM Processor');
@@ -218,9 +174,275 @@ class ESMProcessor {
       // 如果出错，清除进度条并显示错误
       this.progressLogger.clear();
       Utils.logError(this.config.hexo, 'Rollup 打包错误:', error, 'ESM Processor');
+      this.lastError = error;
       return [];
     }
   }
+
+  // 重新读取 import.meta.env 和 goose:theme-config 的取值，取值变化时缓存中已替换的模块需要重新转换
+  refreshEnv() {
+    const env = BuildEnv.load(this.config.hexo, this.config.mode);
+    if (this.cache && JSON.stringify(env) !== JSON.stringify(this.config.env)) {
+      Utils.logDebug(this.config.hexo, 'import.meta.env 取值已变化，丢弃增量缓存', 'ESM Processor');
+      this.cache = undefined;
+    }
+    this.config.env = env;
+    ThemeConfigModule.writeTypes(this.config.hexo, env.THEME);
+  }
+
+  // 输出插件：加密压缩在 renderChunk 阶段完成，分析插件在其后读取最终输出
+  getOutputPlugins(componentsDir) {
+    const plugins = [this.jsEncryption.createRollupPlugin()];
+    if (this.config.analyze) {
+      plugins.push(bundleAnalyzer({
+        themeDir: this.config.hexo.theme_dir,
+        baseDir: this.config.hexo.base_dir,
+        componentsDir,
+        resolveModule: (id) => this.config.chunkStrategy.resolveModule(id),
+        onAnalysis: (analysis) => {
+          this.analysis = analysis;
+        }
+      }));
+    }
+    return plugins;
+  }
+
+  // 将 CDN 链接标记为外部依赖
+  isExternal(id) {
+    return id.startsWith('https://') || id.startsWith('http://');
+  }
+
+  handleWarning(warning, warn) {
+    // 忽略循环依赖警告
+    if (warning.code === 'CIRCULAR_DEPENDENCY') return;
+    // 忽略空包警告
+    if (warning.code === 'EMPTY_BUNDLE') return;
+    // 忽略无法解析的 CDN 导入警告
+    if (warning.code === 'UNRESOLVED_IMPORT' && 
+        warning.source && 
+        (warning.source.startsWith('https://') || warning.source.startsWith('http://'))) {
+      Utils.logDebug(this.config.hexo, `外部 CDN 依赖: ${warning.source}`, 'ESM Processor');
+      return;
+    }
+    warn(warning);
+  }
+
+  /**
+   * 为不支持 ES 模块的浏览器生成兼容脚本
+   * IIFE 不支持代码分割，每个入口单独打包为自包含的文件（共享代码和动态导入都内联），
+   * 语法按 javascript.legacy.targets 降级，依赖和虚拟模块在输出阶段统一降级。样式和静态资源与 ESM 构建相同，不再重复输出。
+   * @param {Object<string, string>} entryPoints - 入口名称 → 源文件
+   * @param {string} jsDir - 输出目录
+   * @param {Map<string, string>} [mountEntries] - 需要挂载引导的入口源文件 → 组件名称，见 getMountEntries
+   * @returns {Promise<Array<Object>>} 兼容入口分块（legacy 为 true）
+   */
+  async bundleLegacy(entryPoints, jsDir, mountEntries = new Map()) {
+    const output = [];
+    const startTime = Date.now();
+
+    for (const file of Object.values(entryPoints)) {
+      const bundle = await rollup.rollup({
+        input: mountEntries.has(file) ? legacyMount.getEntryId(mountEntries.get(file)) : file,
+        jsx: this.config.jsx,
+        plugins: [
+          ...require('./rollup-plugins').getPlugins(this.config, { legacy: true }),
+          legacyMount({ components: mountEntries })
+        ],
+        external: (id) => this.isExternal(id),
+        onwarn: (warning, warn) => this.handleWarning(warning, warn)
+      });
+
+      try {
+        // source map 先在内存中生成，写入文件时再按 sourcemaps 模式附加
+        const result = await bundle.generate({
+          dir: jsDir,
+          format: 'iife',
+          inlineDynamicImports: true,
+          plugins: [
+            legacyLowering({ targets: this.config.legacy.targets, sourceMaps: Boolean(this.config.sourcemaps) }),
+            this.jsEncryption.createRollupPlugin()
+          ],
+          entryFileNames: 'components.legacy.[hash].js',
+          ...SourceMaps.getRollupOptions(this.config.sourcemaps && 'hidden', this.config.hexo.theme_dir)
+        });
+
+        const chunk = result.output.find(item => item.type === 'chunk' && item.isEntry);
+        let code = chunk.code;
+        let sourcemap = null;
+        if (this.config.sourcemaps && chunk.map) {
+          ({ code, sourcemap } = SourceMaps.attach({
+            code,
+            map: JSON.parse(chunk.map.toString()),
+            file: `js/${chunk.fileName}`,
+            mode: this.config.sourcemaps,
+            sourceDir: path.dirname(jsDir)
+          }));
+        }
+
+        fs.writeFileSync(path.join(jsDir, chunk.fileName), code);
+        output.push({
+          type: 'chunk',
+          fileName: chunk.fileName,
+          code,
+          name: chunk.name,
+          isEntry: true,
+          // 挂载引导的虚拟入口按原入口命名和归属组件
+          facadeModuleId: file,
+          imports: [],
+          legacy: true,
+          sourcemap
+        });
+      } finally {
+        await bundle.close();
+      }
+    }
+
+    Utils.logDebug(this.config.hexo, `nomodule 兼容构建完成: ${output.length} 个入口，耗时 ${Date.now() - startTime}ms`, 'ESM Processor');
+    return output;
+  }
+
+  /**
+   * 开启 auto_mount 时由加载器挂载的入口，兼容构建需要为它们生成挂载引导
+   * 与 MountLoader 相同，同一组件有多个导出 mount 的入口时只使用 index 入口
+   * @param {Array<Object>} output - ESM 构建的 Rollup 输出
+   * @param {string} componentsDir - 组件根目录
+   * @returns {Map<string, string>} 入口源文件 → 组件名称
+   */
+  getMountEntries(output, componentsDir) {
+    const selected = new Map();
+    if (!this.config.autoMount) {
+      return selected;
+    }
+
+    output
+      .filter(chunk => chunk.type === 'chunk' && chunk.isEntry && chunk.exports.includes('mount'))
+      .map(chunk => chunk.facadeModuleId)
+      .sort((a, b) => MountLoader.getPriority({ name: a }) - MountLoader.getPriority({ name: b }) || (a < b ? -1 : 1))
+      .forEach(file => {
+        const component = Utils.getComponentName(componentsDir, file);
+        if (![...selected.values()].includes(component)) {
+          selected.set(file, component);
+        }
+      });
+    return selected;
+  }
+
+  /**
+   * Rollup 写入的分块 source map 在构建清单中的路径
+   * hidden 模式下 map 从 js 目录移动到 _sourcemaps 目录，避免被 Hexo 发布
+   * @returns {string|null} 相对主题 source 目录的路径，未生成或内联时为 null
+   */
+  getChunkSourcemap(chunk) {
+    if (!chunk.sourcemapFileName || this.config.sourcemaps === 'inline') {
+      return null;
+    }
+    const file = `js/${chunk.fileName}`;
+    if (this.config.sourcemaps === 'hidden') {
+      return SourceMaps.moveHiddenMap(file, path.dirname(this.config.getJsDir()));
+    }
+    return `js/${chunk.sourcemapFileName}`;
+  }
+
+  // 输出 Rollup 构建耗时，增量构建时与首次完整构建对比
+  logBuildTime(duration, incremental) {
+    if (!incremental) {
+      this.fullBuildTime = duration;
+      Utils.logDebug(this.config.hexo, `Rollup 完整构建耗时: ${duration}ms`, 'ESM Processor');
+      return;
+    }
+
+    const cachedModules = this.cache && this.cache.modules ? this.cache.modules.length : 0;
+    Utils.logDebug(this.config.hexo,
+      `Rollup 增量构建耗时: ${duration}ms（首次完整构建 ${this.fullBuildTime}ms，缓存模块 ${cachedModules} 个）`,
+      'ESM Processor');
+  }
+
+  /**
+   * 输出按 javascript.targets 降级的语法特性及涉及的文件数量
+   * 增量构建中未重新转译的模块沿用上一次的记录，已不在本次构建中的文件不计入
+   * @param {string[]} moduleIds - 本次构建包含的模块
+   */
+  reportLoweredSyntax(moduleIds) {
+    if (!this.config.targets) {
+      return;
+    }
+
+    const features = new Map();
+    moduleIds.forEach(id => {
+      const lowered = this.config.loweredSyntax.get(id);
+      if (!lowered) return;
+      lowered.forEach(feature => {
+        if (!features.has(feature)) features.set(feature, []);
+        features.get(feature).push(id);
+      });
+    });
+
+    const targets = [].concat(this.config.targets).join(', ');
+    if (features.size === 0) {
+      Utils.logInfo(this.config.hexo, `语法降级 (${targets}): 无需降级`, 'ESM Processor');
+      return;
+    }
+
+    const summary = [...features.entries()]
+      .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+      .map(([feature, files]) => `${feature} ×${files.length}`)
+      .join(', ');
+    Utils.logInfo(this.config.hexo, `语法降级 (${targets}): ${summary}`, 'ESM Processor');
+
+    features.forEach((files, feature) => {
+      Utils.logDebug(this.config.hexo, `  └─ ${feature}:`, 'ESM Processor');
+      files.forEach(file => {
+        Utils.logDebug(this.config.hexo, `       ${path.relative(this.config.hexo.theme_dir, file)}`, 'ESM Processor');
+      });
+    });
+  }
+
+  /**
+   * 将 Rollup 输出转换为构建清单条目
+   * 入口脚本以 <组件>/<入口路径>.js 命名，共享分块使用分块名称，
+   * nomodule 兼容脚本在对应入口名称前加 legacy/
+   * @param {Array<Object>} output - bundleESM 返回的 Rollup 输出
+   * @param {string} componentsDir - 组件根目录
+   * @returns {Array<Object>} 清单条目（不含 CSS）
+   */
+  createManifestEntries(output, componentsDir) {
+    const chunks = output.filter(chunk => chunk.type === 'chunk');
+    const names = new Map();
+    const usedNames = new Set();
+
+    chunks.forEach(chunk => {
+      let baseName = chunk.name;
+      if (chunk.isEntry) {
+        baseName = path.relative(componentsDir, chunk.facadeModuleId)
+          .split(path.sep)
+          .join('/')
+          .replace(/^components\//, '')
+          .replace(/\.[^./]+$/, '');
+      }
+      if (chunk.legacy) {
+        baseName = `legacy/${baseName}`;
+      }
+
+      let name = `${baseName}.js`;
+      for (let index = 2; usedNames.has(name); index++) {
+        name = `${baseName}-${index}.js`;
+      }
+      usedNames.add(name);
+      names.set(chunk.fileName, name);
+    });
+
+    return chunks.map(chunk => ({
+      name: names.get(chunk.fileName),
+      file: `js/${chunk.fileName}`,
+      type: 'js',
+      entry: chunk.isEntry,
+      legacy: chunk.legacy === true,
+      mount: chunk.isEntry && chunk.legacy !== true && chunk.exports.includes('mount'),
+      component: chunk.isEntry ? Utils.getComponentName(componentsDir, chunk.facadeModuleId) : null,
+      dependencies: chunk.imports.filter(file => names.has(file)).map(file => names.get(file)),
+      sourcemap: chunk.sourcemap || null
+    }));
+  }
 }
 
 module.exports = ESMProcessor;
\ No newline at end of file
@@ -33,15 +33,16 @@ class JsEncryption {
    * 处理 JavaScript 代码
    * @param {string} code - 原始 JS 代码
    * @param {string} filename - 文件名，用于日志
-   * @returns {Promise<string>} - 处理后的代码
+   * @param {boolean} sourcemap - 是否生成 source map（映射到处理前的代码，由 Rollup 串联到源文件）
+   * @returns {Promise<{code: string, map: Object|null}>} - 处理后的代码和 source map
    */
-  async process(code, filename) {
+  async process(code, filename, sourcemap = false) {
     const shouldMinify = this.shouldMinify();
     const shouldProtect = this.shouldProtect();
     
     // 如果两者都不启用，直接返回原始代码
     if (!shouldMinify && !shouldProtect) {
-      return code;
+      return { code, map: null };
     }
     
     try {
@@ -65,7 +66,7 @@ class JsEncryption {
         format: {
           comments: shouldProtect ? false : 'some'
         },
-        sourceMap: false,
+        sourceMap: sourcemap ? { asObject: true } : false,
         // 防止调试的选择性选项
         ...(shouldProtect ? {
           ecma: 2020,
@@ -80,7 +81,7 @@ class JsEncryption {
       // 添加防调试代码
       let processedCode = code;
       if (shouldProtect) {
-        // 添加简单的反调试代码
+        // 添加简单的反调试代码，追加在末尾使原有代码的行列位置不变，source map 无需偏移
         const antiDebugCode = `
           ;(function(){
             const d = function() {
@@ -95,7 +96,7 @@ class JsEncryption {
             });
           })();
         `;
-        processedCode = antiDebugCode + processedCode;
+        processedCode = processedCode + antiDebugCode;
       }
 
       // 使用 terser 处理代码
@@ -103,7 +104,7 @@ class JsEncryption {
       
       if (result.error) {
         console.error(chalk.red(`[JS加密] 处理 ${filename} 时出错:`), result.error);
-        return code; // 出错时返回原始代码
+        return { code, map: null }; // 出错时返回原始代码
       }
 
       // 日志输出
@@ -118,13 +119,28 @@ class JsEncryption {
       
       // console.log(chalk.blue(logMessage));
       
-      return result.code;
+      return { code: result.code, map: result.map || null };
     } catch (error) {
       console.error(chalk.red(`[JS加密] 处理 ${filename} 时发生异常:`), error);
-      return code; // 出错时返回原始代码
+      return { code, map: null }; // 出错时返回原始代码
     }
   }
 
+  /**
+   * 创建 Rollup 输出插件，在 renderChunk 阶段处理代码
+   * 这样 Rollup 计算的 [hash] 基于最终输出内容，相同源码总是得到相同的文件名
+   * 输出启用 sourcemap 时返回 terser 的 map，Rollup 会将其与打包阶段的 map 串联
+   * @returns {Object} - Rollup 插件
+   */
+  createRollupPlugin() {
+    return {
+      name: 'goose-js-encryption',
+      renderChunk: async (code, chunk, outputOptions) => {
+        return this.process(code, chunk.fileName, Boolean(outputOptions.sourcemap));
+      }
+    };
+  }
+
   /**
    * 格式化文件大小
    */
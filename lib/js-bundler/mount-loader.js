@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+const AssetManifest = require('../asset-manifest');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'component-loader.js');
+const MANIFEST_FILE = 'components.manifest.json';
+// 加载器模板中内联组件清单的位置
+const INLINE_MANIFEST_SOURCE = 'const INLINE_MANIFEST = null;';
+
+/**
+ * 组件自动挂载加载器（theme_builder.javascript.auto_mount）
+ *
+ * 每次打包后在 source/js 中生成：
+ *   components.loader.[hash].js   加载器，由 load_theme_assets 代替各组件入口输出
+ *   components.manifest.json      导出 mount 的组件入口、静态依赖和组件样式，路径相对 js 目录：
+ *     { "version": 1, "components": { "gallery": { "entry": "components.xxx.bundle.js", "imports": [...], "css": ["../css/..."] } } }
+ *
+ * 开启 theme_builder.integrity 时清单额外记录 crossorigin 和各文件的 integrity（文件 → 校验值），
+ * 并内联到加载器中：页面中加载器标签的 integrity 同时覆盖清单内容，加载器以带 integrity 的
+ * modulepreload 和样式表加载组件文件，不再通过未经校验的 fetch 读取清单。
+ *
+ * 两个文件都记录在构建清单的 js 管线中，随组件脚本一起复制到 public 目录和清理。
+ */
+class MountLoader {
+  constructor(config) {
+    this.config = config;
+  }
+
+  static get MANIFEST_NAME() {
+    return MANIFEST_FILE;
+  }
+
+  static get LOADER_NAME() {
+    return 'components.loader.js';
+  }
+
+  /**
+   * 写入加载器和组件清单
+   * @param {Array<Object>} entries - ESMProcessor.createManifestEntries 生成的 JS 资源记录
+   * @param {Array<Object>} [styles] - BundlerCore.createStyleEntries 生成的组件样式记录
+   * @returns {Array<Object>} 需要追加到 js 管线的资源记录
+   */
+  generate(entries, styles = []) {
+    const jsDir = this.config.getJsDir();
+    const components = this.collectComponents(entries, styles);
+    const manifest = { version: 1, components };
+
+    const integrity = AssetManifest.getIntegrityOptions(this.config.hexo.config);
+    if (integrity.enable) {
+      manifest.crossorigin = integrity.crossorigin;
+      manifest.integrity = this.collectIntegrity(components, jsDir, integrity.algorithm);
+    }
+
+    const manifestContent = JSON.stringify(manifest, null, 2) + '\n';
+    fs.writeFileSync(path.join(jsDir, MANIFEST_FILE), manifestContent);
+
+    const loaderContent = MountLoader.createLoader(integrity.enable ? manifest : null);
+    const loaderFile = `components.loader.${Utils.getFileHash(loaderContent).substring(0, 8)}.js`;
+    fs.writeFileSync(path.join(jsDir, loaderFile), loaderContent);
+
+    Utils.logDebug(this.config.hexo, `自动挂载组件: ${Object.keys(components).join(', ') || '无'}`);
+
+    return [
+      { name: MountLoader.LOADER_NAME, file: `js/${loaderFile}`, type: 'js' },
+      { name: MANIFEST_FILE, file: `js/${MANIFEST_FILE}`, type: 'asset' }
+    ];
+  }
+
+  // 组件名称 → 导出 mount 的入口；同一组件有多个时优先使用 index 入口
+  collectComponents(entries, styles = []) {
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    const styleFiles = new Map(styles.map(style => [style.name, style.file]));
+    const mountable = entries
+      .filter(entry => entry.mount && !entry.legacy)
+      .sort((a, b) => MountLoader.getPriority(a) - MountLoader.getPriority(b) || (a.name < b.name ? -1 : 1));
+
+    const selected = new Map();
+    mountable.forEach(entry => {
+      if (selected.has(entry.component)) {
+        Utils.logWarning(this.config.hexo,
+          `组件 ${entry.component} 有多个导出 mount 的入口，自动挂载使用 ${selected.get(entry.component).name}，忽略 ${entry.name}`);
+        return;
+      }
+      selected.set(entry.component, entry);
+    });
+
+    const components = {};
+    [...selected.keys()].sort().forEach(name => {
+      const entry = selected.get(name);
+      components[name] = {
+        entry: path.posix.basename(entry.file),
+        imports: this.collectImports(entry, byName),
+        // 动态插入的组件挂载前加载样式，页面已输出的样式表不会重复加载
+        css: (entry.css || [])
+          .filter(name => styleFiles.has(name))
+          .map(name => path.posix.relative('js', styleFiles.get(name)))
+      };
+    });
+    return components;
+  }
+
+  // 清单中全部组件文件（入口、静态依赖、样式，路径相对 js 目录）→ integrity
+  collectIntegrity(components, jsDir, algorithm) {
+    const files = new Set();
+    Object.values(components).forEach(component => {
+      [component.entry, ...component.imports, ...component.css].forEach(file => files.add(file));
+    });
+
+    const integrity = {};
+    [...files].sort().forEach(file => {
+      integrity[file] = AssetManifest.computeIntegrity(fs.readFileSync(path.resolve(jsDir, file)), algorithm);
+    });
+    return integrity;
+  }
+
+  // 加载器内容，传入清单时内联到模板中
+  static createLoader(manifest) {
+    const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+    if (!manifest) {
+      return template;
+    }
+    if (!template.includes(INLINE_MANIFEST_SOURCE)) {
+      throw new Error(`加载器模板缺少 ${INLINE_MANIFEST_SOURCE}`);
+    }
+    return template.replace(INLINE_MANIFEST_SOURCE, () => `const INLINE_MANIFEST = ${JSON.stringify(manifest)};`);
+  }
+
+  static getPriority(entry) {
+    return /\/index\.[^./]+$/.test(entry.name) ? 0 : 1;
+  }
+
+  // 入口的全部静态依赖（包括间接依赖），文件名相对 js 目录
+  collectImports(entry, byName) {
+    const visited = new Set([entry.name]);
+    const imports = [];
+    const queue = [entry];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (current.dependencies || []).forEach(name => {
+        if (visited.has(name) || !byName.has(name)) return;
+        visited.add(name);
+        const dependency = byName.get(name);
+        imports.push(path.posix.basename(dependency.file));
+        queue.push(dependency);
+      });
+    }
+
+    return imports;
+  }
+}
+
+module.exports = MountLoader;
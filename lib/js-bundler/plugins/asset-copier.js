@@ -14,6 +14,7 @@ const ProgressLogger = require('../../progress-logger');
  * @property {string} [publicPath] - 资源的公共访问路径（例如：'/css/assets'）
  * @property {boolean} [cleanBeforeBuild] - 是否在构建前清理 assets 目录，默认为 true
  * @property {Object} [hexoConfig] - Hexo配置对象，用于获取调试设置
+ * @property {Function} [onAsset] - 每复制一个资源后调用，参数为 { source, target, publicPath }
  */
 
 /**
@@ -245,6 +246,7 @@ module.exports = (opts = {}) => {
     publicPath: '/css/assets', // 默认公共访问路径
     cleanBeforeBuild: true, // 默认在构建前清理目录
     hexoConfig: null, // Hexo配置对象
+    onAsset: null, // 资源复制回调，用于记录构建清单
     ...opts
   };
 
@@ -372,6 +374,10 @@ module.exports = (opts = {}) => {
             }
           });
 
+          if (typeof options.onAsset === 'function') {
+            options.onAsset({ source: sourcePath, target: targetPath, publicPath });
+          }
+
           logger.log(`[Asset Copier] ✅ 复制成功`);
           logger.log(`[Asset Copier] 目标路径: ${targetPath}`);
           logger.log(`[Asset Copier] CSS中的引用路径: ${publicPath}`);
@@ -0,0 +1,133 @@
+const { babel } = require('@rollup/plugin-babel');
+
+// 运行时辅助函数版本，transform-runtime 据此判断可以从 @babel/runtime 引入哪些辅助函数
+const RUNTIME_VERSION = require('@babel/runtime/package.json').version;
+
+/**
+ * Babel 转译插件配置接口
+ * @typedef {Object} BabelTranspileOptions
+ * @property {string|string[]|null} targets - browserslist 查询，未配置时只移除 TypeScript 类型
+ * @property {Map<string, Set<string>>} lowered - 记录每个文件被降级的语法特性（文件路径 → 特性名称）
+ */
+
+/**
+ * 对比访问前后的节点，只有节点被替换、删除或修改时才算作一次降级
+ * 只比较两层属性，足以覆盖 let → var、类字段移入构造函数等原地修改
+ */
+function snapshot(node, depth = 2) {
+  const fields = new Map();
+  Object.keys(node).forEach(key => {
+    const value = node[key];
+    let inner = null;
+    if (Array.isArray(value)) {
+      inner = value.slice();
+    } else if (value && typeof value === 'object' && depth > 1) {
+      inner = snapshot(value, depth - 1);
+    }
+    fields.set(key, [value, inner]);
+  });
+  return fields;
+}
+
+function isChanged(node, fields) {
+  const keys = Object.keys(node);
+  if (keys.length !== fields.size) {
+    return true;
+  }
+
+  return keys.some(key => {
+    if (!fields.has(key)) return true;
+    const [value, inner] = fields.get(key);
+    const current = node[key];
+    if (current !== value) return true;
+    if (Array.isArray(current)) {
+      return current.length !== inner.length || current.some((item, index) => item !== inner[index]);
+    }
+    return inner !== null && isChanged(current, inner);
+  });
+}
+
+// 只统计 preset-env 中的语法转换，TypeScript、运行时辅助函数等插件不属于降级
+function isSyntaxPlugin(name) {
+  if (name === 'transform-runtime' || name.startsWith('transform-typescript')) {
+    return false;
+  }
+  return name.startsWith('transform-') || name.startsWith('bugfix/');
+}
+
+/**
+ * 组件脚本的 Babel 转译
+ *
+ * 始终移除 .ts/.tsx 中的类型标注；配置了 targets 时再按 browserslist 目标降级所有组件脚本，
+ * 辅助函数通过 @babel/plugin-transform-runtime 从 @babel/runtime 引入，多个组件共享同一份实现。
+ * node_modules 中的依赖不做转译。
+ * @param {BabelTranspileOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  const lowered = opts.lowered || new Map();
+  const presets = [];
+  const plugins = [];
+
+  if (opts.targets) {
+    presets.push([require.resolve('@babel/preset-env'), {
+      targets: opts.targets,
+      bugfixes: true,
+      // 模块语法交给 Rollup 处理
+      modules: false
+    }]);
+    plugins.push(
+      [require.resolve('@babel/plugin-transform-runtime'), { version: RUNTIME_VERSION }],
+      {
+        // 文件重新转译时清除上一次的记录
+        pre(file) {
+          lowered.delete(file.opts.filename);
+        }
+      }
+    );
+  }
+
+  // 预设按倒序执行：先移除类型，再降级语法
+  presets.push([require.resolve('@babel/preset-typescript'), { allowDeclareFields: true }]);
+
+  const plugin = babel({
+    babelHelpers: opts.targets ? 'runtime' : 'bundled',
+    babelrc: false,
+    configFile: false,
+    extensions: opts.targets ? ['.js', '.jsx', '.mjs', '.ts', '.tsx', '.vue'] : ['.ts', '.tsx'],
+    // .vue 的样式块模块由 postcss 插件处理
+    exclude: ['**/node_modules/**', /\?vue&type=style/],
+    presets,
+    plugins,
+    wrapPluginVisitorMethod(pluginAlias, visitorType, callback) {
+      if (!opts.targets || !isSyntaxPlugin(pluginAlias)) {
+        return callback;
+      }
+
+      return function(path, state) {
+        const node = path.node;
+        const fields = snapshot(node);
+        const result = callback.call(this, path, state);
+
+        if (path.removed || path.node !== node || isChanged(node, fields)) {
+          const filename = path.hub.file.opts.filename;
+          if (!lowered.has(filename)) lowered.set(filename, new Set());
+          lowered.get(filename).add(pluginAlias.replace(/^transform-/, ''));
+        }
+
+        return result;
+      };
+    }
+  });
+
+  // 辅助函数从插件所在位置解析 @babel/runtime（按 exports 取 ESM 版本），主题目录无需单独安装
+  const resolveHelpers = plugin.resolveId;
+  plugin.resolveId = function(source, importer, options) {
+    if (opts.targets && source.startsWith('@babel/runtime/')) {
+      return this.resolve(source, __filename, { ...options, skipSelf: true });
+    }
+    return resolveHelpers.call(this, source, importer, options);
+  };
+
+  return plugin;
+};
@@ -0,0 +1,130 @@
+const path = require('path');
+const zlib = require('zlib');
+const Utils = require('../utils');
+
+/**
+ * 打包分析插件配置接口
+ * @typedef {Object} BundleAnalyzerOptions
+ * @property {string} themeDir - 主题目录，模块路径相对该目录显示
+ * @property {string} baseDir - 站点目录，依赖包安装目录相对该目录显示
+ * @property {string} componentsDir - 组件根目录（主题 layout 目录）
+ * @property {Function} resolveModule - 解析模块所属依赖包，见 ChunkStrategy#resolveModule
+ * @property {Function} onAnalysis - 接收分析结果的回调
+ */
+
+// 模块显示路径：主题内文件相对主题目录，依赖包从 node_modules 开始，虚拟模块去掉前缀
+function getDisplayId(id, themeDir) {
+  const cleanId = id.replace(/^\0/, '').split('?')[0];
+  const normalized = cleanId.split(path.sep).join('/');
+  const index = normalized.lastIndexOf('/node_modules/');
+
+  if (index !== -1) {
+    return normalized.slice(index + 1);
+  }
+  if (path.isAbsolute(cleanId)) {
+    const relativePath = path.relative(themeDir, cleanId).split(path.sep).join('/');
+    return relativePath.startsWith('..') ? normalized : relativePath;
+  }
+  return normalized;
+}
+
+// 依赖包的安装目录，用于区分同名包的多个副本
+function getPackageRoot(id, packageName) {
+  const normalized = id.replace(/^\0/, '').split('?')[0].split(path.sep).join('/');
+  const index = normalized.lastIndexOf('/node_modules/');
+  return normalized.slice(0, index + '/node_modules/'.length + packageName.length);
+}
+
+function gzipSize(code) {
+  return code ? zlib.gzipSync(code, { level: 9 }).length : 0;
+}
+
+/**
+ * 收集打包结果的分析数据
+ *
+ * 在 generateBundle 阶段读取每个分块的模块表和模块依赖图，此时 renderChunk（压缩、混淆）已完成，
+ * 分块大小为最终输出大小，模块大小为压缩前的渲染大小。
+ * @param {BundleAnalyzerOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  return {
+    name: 'goose-bundle-analyzer',
+
+    generateBundle(outputOptions, bundle) {
+      const chunks = Object.values(bundle).filter(item => item.type === 'chunk');
+
+      // 从每个入口沿静态和动态导入遍历，得到每个模块被哪些组件使用
+      const moduleComponents = new Map();
+      chunks.filter(chunk => chunk.isEntry && chunk.facadeModuleId).forEach(chunk => {
+        const component = Utils.getComponentName(opts.componentsDir, chunk.facadeModuleId);
+        const visited = new Set();
+        const queue = [chunk.facadeModuleId];
+
+        while (queue.length > 0) {
+          const id = queue.shift();
+          if (visited.has(id)) continue;
+          visited.add(id);
+
+          if (!moduleComponents.has(id)) moduleComponents.set(id, new Set());
+          moduleComponents.get(id).add(component);
+
+          const info = this.getModuleInfo(id);
+          if (info) {
+            queue.push(...info.importedIds, ...info.dynamicallyImportedIds);
+          }
+        }
+      });
+
+      const packages = new Map();
+      const chunkReports = chunks.map(chunk => {
+        const modules = Object.entries(chunk.modules)
+          .filter(([, module]) => module.renderedLength > 0)
+          .map(([id, module]) => {
+            const { packageName } = opts.resolveModule(id);
+            if (packageName) {
+              if (!packages.has(packageName)) packages.set(packageName, { chunks: new Set(), paths: new Set() });
+              packages.get(packageName).chunks.add(chunk.fileName);
+              packages.get(packageName).paths.add(getPackageRoot(id, packageName));
+            }
+
+            return {
+              id: getDisplayId(id, opts.themeDir),
+              package: packageName,
+              rendered: module.renderedLength,
+              gzip: gzipSize(module.code),
+              components: [...(moduleComponents.get(id) || [])].sort()
+            };
+          })
+          .sort((a, b) => b.rendered - a.rendered);
+
+        return {
+          fileName: chunk.fileName,
+          name: chunk.name,
+          isEntry: chunk.isEntry,
+          component: chunk.isEntry && chunk.facadeModuleId
+            ? Utils.getComponentName(opts.componentsDir, chunk.facadeModuleId)
+            : null,
+          size: Buffer.byteLength(chunk.code),
+          gzip: gzipSize(chunk.code),
+          modules
+        };
+      });
+
+      // 同一依赖包出现在多个分块中，或从多个安装目录被打包（版本不一致）
+      const duplicates = [...packages.entries()]
+        .filter(([, usage]) => usage.chunks.size > 1 || usage.paths.size > 1)
+        .map(([name, usage]) => ({
+          package: name,
+          chunks: [...usage.chunks].sort(),
+          paths: [...usage.paths].map(root => path.relative(opts.baseDir, root).split(path.sep).join('/')).sort()
+        }))
+        .sort((a, b) => a.package.localeCompare(b.package));
+
+      opts.onAnalysis({
+        chunks: chunkReports.sort((a, b) => b.size - a.size),
+        duplicates
+      });
+    }
+  };
+};
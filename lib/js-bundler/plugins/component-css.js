@@ -0,0 +1,125 @@
+const path = require('path');
+const postcss = require('postcss');
+const cssnano = require('cssnano');
+const postcssPlugin = require('rollup-plugin-postcss');
+
+/**
+ * 组件样式拆分插件配置接口
+ * @typedef {Object} ComponentCssOptions
+ * @property {Object} postcss - rollup-plugin-postcss 选项（extract 由本插件接管）
+ * @property {Object|boolean} [minimize] - 输出前用 cssnano 压缩每个样式文件（传入对象作为 cssnano 选项）
+ * @property {Function} [onStyles] - 接收本次输出的样式文件：[{ fileName, entries }]，entries 为使用该文件的入口分块文件名
+ */
+
+/**
+ * 按入口拆分组件样式
+ *
+ * rollup-plugin-postcss 的 extract 模式把所有样式模块合并为一个文件，页面无法只加载所用组件的样式。
+ * 本插件沿用它对样式模块的转换，在 generateBundle 阶段从每个入口沿静态和动态导入遍历，
+ * 得到每个样式模块被哪些入口使用（动态导入的模块在运行时不会再加载样式，因此归入发起导入的入口）：
+ *   - 只被一个入口使用的样式输出到该入口的样式文件
+ *   - 被多个入口共同使用的样式按入口组合输出到共享样式文件
+ * 每个样式模块只出现在一个文件中，文件内按入口的导入顺序排列。
+ * 输出的文件名只是临时名称，由 BundlerCore 按内容哈希重命名并写入构建清单。
+ * @param {ComponentCssOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  const postcssOptions = opts.postcss || {};
+  const plugin = postcssPlugin({ ...postcssOptions, extract: true });
+  // 各样式模块的 map 以 postcss 的 to 选项所在目录为基准
+  const mapDir = postcssOptions.to ? path.dirname(postcssOptions.to) : null;
+  const sourceMap = Boolean(postcssOptions.sourceMap && mapDir);
+
+  // 入口的模块按导入顺序（先序）排列，与 rollup-plugin-postcss 合并样式时的顺序一致
+  function getImportOrder(entryId, getModuleInfo) {
+    const order = [];
+    const visited = new Set();
+    const stack = [entryId];
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (visited.has(id)) continue;
+      visited.add(id);
+      order.push(id);
+
+      const info = getModuleInfo(id);
+      if (info) {
+        stack.push(...[...info.importedIds, ...info.dynamicallyImportedIds].reverse());
+      }
+    }
+    return order;
+  }
+
+  // 合并一组样式模块，map 的 sources 相对输出目录（与单文件提取时相同）
+  async function concat(modules, fileName) {
+    const root = postcss.root();
+    modules.forEach(({ id, code, map }) => {
+      const prev = sourceMap && map
+        ? { ...map, sources: map.sources.map(source => path.resolve(mapDir, source)) }
+        : false;
+      root.append(postcss.parse(code, { from: id, map: prev ? { prev } : false }).nodes);
+    });
+
+    const resultOptions = {
+      from: undefined,
+      to: mapDir ? path.join(mapDir, fileName) : fileName,
+      map: sourceMap ? { inline: false, annotation: false, sourcesContent: true } : false
+    };
+    const result = opts.minimize
+      ? await postcss([cssnano(opts.minimize === true ? {} : opts.minimize)]).process(root, resultOptions)
+      : root.toResult(resultOptions);
+
+    return { code: result.css, map: result.map ? result.map.toString() : null };
+  }
+
+  return {
+    ...plugin,
+    name: 'goose-component-css',
+
+    async generateBundle(outputOptions, bundle) {
+      // augmentChunkHash 返回全部已提取样式模块（模块 ID → { code, map }）
+      const extracted = JSON.parse(plugin.augmentChunkHash() || '{}');
+
+      const entries = Object.values(bundle)
+        .filter(chunk => chunk.type === 'chunk' && chunk.isEntry && chunk.facadeModuleId)
+        .sort((a, b) => (a.facadeModuleId < b.facadeModuleId ? -1 : 1));
+
+      // 样式模块 → 使用它的入口分块，按首次出现的顺序
+      const owners = new Map();
+      entries.forEach(chunk => {
+        getImportOrder(chunk.facadeModuleId, id => this.getModuleInfo(id))
+          .filter(id => extracted[id])
+          .forEach(id => {
+            if (!owners.has(id)) owners.set(id, []);
+            owners.get(id).push(chunk.fileName);
+          });
+      });
+
+      // 入口组合相同的样式模块输出到同一个文件
+      const groups = new Map();
+      owners.forEach((chunkFiles, id) => {
+        const key = chunkFiles.join('\n');
+        if (!groups.has(key)) groups.set(key, { entries: chunkFiles, modules: [] });
+        groups.get(key).modules.push(extracted[id]);
+      });
+
+      const styles = [];
+      let index = 0;
+      for (const group of groups.values()) {
+        const fileName = `component.bundle.${index++}.css`;
+        const { code, map } = await concat(group.modules, fileName);
+
+        this.emitFile({ type: 'asset', fileName, source: code });
+        if (map) {
+          this.emitFile({ type: 'asset', fileName: `${fileName}.map`, source: map });
+        }
+        styles.push({ fileName, entries: group.entries });
+      }
+
+      if (opts.onStyles) {
+        opts.onStyles(styles);
+      }
+    }
+  };
+};
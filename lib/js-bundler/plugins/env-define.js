@@ -0,0 +1,124 @@
+const MagicString = require('magic-string');
+
+/**
+ * 环境变量替换插件配置接口
+ * @typedef {Object} EnvDefineOptions
+ * @property {function(): Object} getEnv - 返回本次打包的 import.meta.env 取值
+ * @property {boolean} jsx - 是否按 JSX 解析模块（theme_builder.javascript.jsx 已配置）
+ */
+
+function isImportMetaEnv(node) {
+  return node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.property.name === 'env' &&
+    node.object.type === 'MetaProperty' &&
+    node.object.meta.name === 'import' &&
+    node.object.property.name === 'meta';
+}
+
+// 成员访问的静态键名，a.b 和 a['b'] 可以确定，a[key] 无法确定时返回 null
+function getPropertyKey(node) {
+  if (!node.computed) {
+    return node.property.name;
+  }
+  return node.property.type === 'Literal' && typeof node.property.value === 'string'
+    ? node.property.value
+    : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function serialize(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  const json = JSON.stringify(value);
+  return isPlainObject(value) || Array.isArray(value) ? `(${json})` : json;
+}
+
+// 深度优先遍历 AST，回调参数为节点及其父节点链
+function walk(node, ancestors, callback) {
+  if (!node || typeof node.type !== 'string') {
+    return;
+  }
+  if (callback(node, ancestors) === false) {
+    return;
+  }
+
+  ancestors.push(node);
+  Object.keys(node).forEach(key => {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, ancestors, callback));
+    } else if (child && typeof child === 'object') {
+      walk(child, ancestors, callback);
+    }
+  });
+  ancestors.pop();
+}
+
+/**
+ * 把 import.meta.env 及其成员访问静态替换为字面量
+ *
+ * 替换在转换阶段完成，Rollup 在摇树时即可确定 `if (import.meta.env.DEV) { ... }` 等分支的取值，
+ * 未执行的分支及只在其中使用的导入不会进入打包结果。
+ * 沿成员访问链尽量深入：import.meta.env.THEME.analytics.google_id 直接替换为对应的值，
+ * 不存在的键替换为 undefined，无法静态确定的访问（如 import.meta.env[key]）替换为整个对象。
+ * @param {EnvDefineOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  return {
+    name: 'goose-env-define',
+
+    transform(code, id) {
+      if (!code.includes('import.meta.env') || /\.(css|scss|sass|less)$/.test(id)) {
+        return null;
+      }
+
+      const env = opts.getEnv();
+      const ast = this.parse(code, { jsx: opts.jsx });
+      const magicString = new MagicString(code);
+      let replaced = false;
+
+      walk(ast, [], (node, ancestors) => {
+        if (!isImportMetaEnv(node)) {
+          return true;
+        }
+
+        let target = node;
+        let value = env;
+        for (let index = ancestors.length - 1; index >= 0; index--) {
+          const parent = ancestors[index];
+          if (parent.type !== 'MemberExpression' || parent.object !== target || !isPlainObject(value)) {
+            break;
+          }
+          const key = getPropertyKey(parent);
+          if (key === null) {
+            break;
+          }
+          value = Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+          target = parent;
+          if (value === undefined) {
+            break;
+          }
+        }
+
+        magicString.overwrite(target.start, target.end, serialize(value));
+        replaced = true;
+        return false;
+      });
+
+      if (!replaced) {
+        return null;
+      }
+
+      return {
+        code: magicString.toString(),
+        map: magicString.generateMap({ hires: true })
+      };
+    }
+  };
+};
@@ -0,0 +1,39 @@
+const path = require('path');
+const Utils = require('../utils');
+
+/**
+ * 热替换上下文插件配置接口
+ * @typedef {Object} HotContextOptions
+ * @property {boolean} enabled - 是否启用热替换（仅 hexo server 下启用）
+ * @property {string} componentsDir - 组件根目录（主题 layout 目录）
+ */
+
+/**
+ * 为组件模块提供 import.meta.hot
+ *
+ * 启用时替换为热重载客户端提供的 window.__GOOSE_HMR__.createHotContext(<组件名>)，
+ * 同一组件内的模块共享一个上下文；组件目录以外的模块以及生产构建中替换为 undefined，
+ * `if (import.meta.hot) { ... }` 代码块会在压缩时整体移除。
+ * @param {HotContextOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  const componentsRoot = path.join(opts.componentsDir || '', 'components') + path.sep;
+
+  return {
+    name: 'goose-hot-context',
+
+    resolveImportMeta(property, { moduleId }) {
+      if (property !== 'hot') {
+        return null;
+      }
+
+      if (!opts.enabled || !moduleId || !moduleId.startsWith(componentsRoot)) {
+        return 'undefined';
+      }
+
+      const component = Utils.getComponentName(opts.componentsDir, moduleId);
+      return `(window.__GOOSE_HMR__ ? window.__GOOSE_HMR__.createHotContext(${JSON.stringify(component)}) : undefined)`;
+    }
+  };
+};
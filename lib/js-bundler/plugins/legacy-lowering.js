@@ -0,0 +1,35 @@
+const { getBabelOutputPlugin } = require('@rollup/plugin-babel');
+
+/**
+ * nomodule 兼容输出降级插件配置接口
+ * @typedef {Object} LegacyLoweringOptions
+ * @property {string|string[]} targets - browserslist 查询（javascript.legacy.targets）
+ * @property {boolean} sourceMaps - 是否生成 source map
+ */
+
+/**
+ * 对 nomodule 兼容构建的最终 IIFE 再做一次语法降级
+ *
+ * 转换阶段的 Babel 插件不处理 node_modules 中的依赖和 \0 开头的虚拟模块（commonjs 辅助函数、
+ * goose:theme-config 等），这些代码原样进入兼容脚本，例如 Vue 运行时中的箭头函数。
+ * 在输出阶段按 legacy.targets 转译整个分块，辅助函数内联到文件中，保证兼容脚本整体符合目标语法。
+ * 必须放在压缩和混淆插件之前。
+ * @param {LegacyLoweringOptions} opts
+ * @returns {import('rollup').OutputPlugin}
+ */
+module.exports = (opts = {}) => {
+  const plugin = getBabelOutputPlugin({
+    babelrc: false,
+    configFile: false,
+    // IIFE 格式需要显式允许，输出中不含模块语法
+    allowAllFormats: true,
+    compact: false,
+    sourceMaps: opts.sourceMaps,
+    presets: [[require.resolve('@babel/preset-env'), {
+      targets: opts.targets,
+      bugfixes: true,
+      modules: false
+    }]]
+  });
+  return { ...plugin, name: 'goose-legacy-lowering' };
+};
@@ -0,0 +1,79 @@
+const PREFIX = '\0goose-legacy-mount:';
+const RUNTIME_ID = '\0goose-legacy-mount-runtime';
+
+// 多个兼容脚本共享的 window.GooseComponents，组件注册后立即挂载页面中已有的元素
+const RUNTIME_CODE = `var loader = window.GooseComponents;
+if (!loader) {
+  var mounts = {};
+  loader = window.GooseComponents = {
+    register: function (name, mount) {
+      mounts[name] = mount;
+      loader.scan();
+    },
+    scan: function (root) {
+      var elements = (root || document).querySelectorAll('[data-goose-component]');
+      for (var i = 0; i < elements.length; i++) {
+        var el = elements[i];
+        var name = el.getAttribute('data-goose-component');
+        if (!mounts[name] || el.hasAttribute('data-goose-mounted')) continue;
+        var props = {};
+        try {
+          props = JSON.parse(el.getAttribute('data-goose-props') || '{}');
+        } catch (error) {
+          console.error('[Goose] 组件 ' + name + ' 的 data-goose-props 不是合法的 JSON:', error);
+        }
+        el.setAttribute('data-goose-mounted', 'true');
+        mounts[name](el, props);
+      }
+    }
+  };
+}
+export default loader;
+`;
+
+/**
+ * nomodule 挂载引导插件配置接口
+ * @typedef {Object} LegacyMountOptions
+ * @property {Map<string, string>} components - 导出 mount 的入口源文件 → 组件名称
+ */
+
+/**
+ * 开启 auto_mount 时，nomodule 兼容脚本没有加载器调用 mount(el, props)
+ * 以虚拟模块作为兼容构建的入口：先定义精简的 window.GooseComponents（只有 scan），
+ * 再导入原入口并注册其 mount，挂载页面中对应的 data-goose-component 元素。
+ * window.GooseComponents 在原入口执行前定义，脚手架生成的入口不会再自行挂载。
+ * 兼容脚本以 defer 执行，执行时文档已解析完成，不支持懒加载策略，动态插入的组件需要调用 scan(root)。
+ * @param {LegacyMountOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  // 虚拟模块 ID 以组件名称结尾，不会被按扩展名匹配的插件（如 .vue）误处理
+  const files = new Map([...(opts.components || new Map())].map(([file, component]) => [component, file]));
+
+  return {
+    name: 'goose-legacy-mount',
+
+    resolveId(source) {
+      return source === RUNTIME_ID || source.startsWith(PREFIX) ? source : null;
+    },
+
+    load(id) {
+      if (id === RUNTIME_ID) {
+        return RUNTIME_CODE;
+      }
+      if (!id.startsWith(PREFIX)) {
+        return null;
+      }
+      const name = id.slice(PREFIX.length);
+      return [
+        `import loader from ${JSON.stringify(RUNTIME_ID)};`,
+        `import { mount } from ${JSON.stringify(files.get(name))};`,
+        `loader.register(${JSON.stringify(name)}, mount);`,
+        ''
+      ].join('\n');
+    }
+  };
+};
+
+// 兼容构建中代替组件入口源文件的虚拟模块 ID
+module.exports.getEntryId = component => `${PREFIX}${component}`;
@@ -0,0 +1,32 @@
+const ThemeConfigModule = require('../theme-config-module');
+
+const RESOLVED_ID = `\0${ThemeConfigModule.ID}`;
+
+/**
+ * 主题配置虚拟模块插件配置接口
+ * @typedef {Object} ThemeConfigOptions
+ * @property {function(): Object} getThemeConfig - 返回本次打包暴露的主题配置项
+ */
+
+/**
+ * 提供虚拟模块 goose:theme-config，内容由 ThemeConfigModule 生成
+ * 主题配置变化时 ESMProcessor 会丢弃增量缓存，模块随下一次打包重新加载
+ * @param {ThemeConfigOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  return {
+    name: 'goose-theme-config',
+
+    resolveId(source) {
+      return source === ThemeConfigModule.ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) {
+        return null;
+      }
+      return ThemeConfigModule.generateCode(opts.getThemeConfig());
+    }
+  };
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MagicString = require('magic-string');
+
+const STYLE_QUERY = '?vue&type=style&index=';
+
+// Vue esm-bundler 构建中需要在打包时确定的编译开关
+const VUE_FLAGS = {
+  __VUE_OPTIONS_API__: 'true',
+  __VUE_PROD_DEVTOOLS__: 'false',
+  __VUE_PROD_HYDRATION_MISMATCH_DETAILS__: 'false'
+};
+
+/**
+ * Vue 单文件组件插件配置接口
+ * @typedef {Object} VueSfcOptions
+ * @property {string} themeDir - 主题目录，用于计算稳定的作用域 ID
+ * @property {string} baseDir - 站点目录，从这里解析站点安装的 vue
+ * @property {string} componentsDir - 组件根目录（主题 layout 目录）
+ * @property {boolean} isProduction - 是否为生产构建（hexo generate、deploy）
+ */
+
+// 从站点解析 vue/compiler-sfc，保证模板编译器与页面使用的运行时版本一致
+function loadCompiler(opts) {
+  let compilerPath;
+  try {
+    compilerPath = require.resolve('vue/compiler-sfc', {
+      paths: [opts.baseDir, opts.themeDir, __dirname].filter(Boolean)
+    });
+  } catch (error) {
+    throw new Error('未找到 vue，编译 .vue 组件前请先在站点中安装: npm install vue');
+  }
+  return require(compilerPath);
+}
+
+function parseStyleRequest(id) {
+  const queryIndex = id.indexOf(STYLE_QUERY);
+  if (queryIndex === -1) {
+    return null;
+  }
+  return {
+    filename: id.slice(0, queryIndex),
+    index: parseInt(id.slice(queryIndex + STYLE_QUERY.length), 10)
+  };
+}
+
+// 编译器错误带有 loc 时补充行列号
+function formatError(error, filename) {
+  const message = error.message || String(error);
+  const loc = error.loc && error.loc.start;
+  return loc ? `${filename}:${loc.line}:${loc.column} ${message}` : `${filename} ${message}`;
+}
+
+// lang="ts" 的脚本在 SFC 编译后移除类型标注，.vue 文件不经过 babelTranspile 的 TypeScript 预设
+function stripTypes(code, filename, lang) {
+  const babel = require('@babel/core');
+  const result = babel.transformSync(code, {
+    filename: `${filename}.${lang === 'tsx' ? 'tsx' : 'ts'}`,
+    babelrc: false,
+    configFile: false,
+    sourceMaps: false,
+    presets: [[require.resolve('@babel/preset-typescript'), { allowDeclareFields: true }]]
+  });
+  return result.code;
+}
+
+// 替换 Vue 运行时中的环境判断和编译开关，开发专用代码在生产构建中被移除
+function replaceFlags(code, isProduction) {
+  const magicString = new MagicString(code);
+  const replacements = {
+    ...VUE_FLAGS,
+    'process.env.NODE_ENV': JSON.stringify(isProduction ? 'production' : 'development')
+  };
+  const pattern = new RegExp(`\\b(${Object.keys(replacements).map(key => key.replace(/\./g, '\\.')).join('|')})\\b`, 'g');
+
+  let match;
+  let replaced = false;
+  while ((match = pattern.exec(code)) !== null) {
+    magicString.overwrite(match.index, match.index + match[0].length, replacements[match[0]]);
+    replaced = true;
+  }
+
+  if (!replaced) {
+    return null;
+  }
+  return { code: magicString.toString(), map: magicString.generateMap({ hires: true }) };
+}
+
+/**
+ * 编译 Vue 单文件组件（.vue）
+ *
+ * 模板在构建时编译为渲染函数，页面只需要 Vue 的运行时版本；<script setup> 的模板内联到 setup 中。
+ * 每个 <style> 块作为 `<文件>?vue&type=style&index=N&lang.css` 样式模块导入，由 postcss 插件
+ * 提取到组件 CSS 中，scoped 样式按文件路径生成稳定的 data-v-<hash> 作用域。
+ *
+ * 组件 js 目录下的 .vue 入口额外导出 mount(el, props)，以 props 创建应用并挂载到元素上，返回卸载函数。
+ * @param {VueSfcOptions} opts
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = (opts = {}) => {
+  let compiler = null;
+  const getCompiler = () => {
+    if (!compiler) {
+      compiler = loadCompiler(opts);
+    }
+    return compiler;
+  };
+
+  const parseDescriptor = (context, source, filename) => {
+    const { descriptor, errors } = getCompiler().parse(source, { filename, sourceMap: false });
+    if (errors.length > 0) {
+      context.error(formatError(errors[0], filename));
+    }
+    return descriptor;
+  };
+
+  const getScopeHash = (filename) => {
+    const relativePath = path.relative(opts.themeDir, filename).split(path.sep).join('/');
+    return crypto.createHash('sha256').update(relativePath).digest('hex').slice(0, 8);
+  };
+
+  const isEntry = (filename) => {
+    return filename.startsWith(path.join(opts.componentsDir, 'components') + path.sep) &&
+      path.basename(path.dirname(filename)) === 'js';
+  };
+
+  return {
+    name: 'goose-vue-sfc',
+
+    resolveId(source) {
+      return parseStyleRequest(source) ? source : null;
+    },
+
+    load(id) {
+      const request = parseStyleRequest(id);
+      if (!request) {
+        return null;
+      }
+
+      // 增量打包时 .vue 模块可能直接使用缓存，样式块总是从文件重新解析
+      const descriptor = parseDescriptor(this, fs.readFileSync(request.filename, 'utf8'), request.filename);
+      const style = descriptor.styles[request.index];
+      if (!style) {
+        this.error(`${request.filename} 中不存在第 ${request.index} 个 <style> 块`);
+      }
+
+      const result = getCompiler().compileStyle({
+        source: style.content,
+        filename: request.filename,
+        id: `data-v-${getScopeHash(request.filename)}`,
+        scoped: style.scoped,
+        preprocessLang: style.lang,
+        isProd: opts.isProduction
+      });
+      if (result.errors.length > 0) {
+        this.error(formatError(result.errors[0], request.filename));
+      }
+      return result.code;
+    },
+
+    transform(code, id) {
+      if (/[\\/]node_modules[\\/](vue|@vue)[\\/]/.test(id)) {
+        return replaceFlags(code, opts.isProduction);
+      }
+      if (!id.endsWith('.vue')) {
+        return null;
+      }
+
+      const descriptor = parseDescriptor(this, code, id);
+      const scopeHash = getScopeHash(id);
+      const scopeId = `data-v-${scopeHash}`;
+      const scoped = descriptor.styles.some(style => style.scoped);
+      const scriptBlock = descriptor.scriptSetup || descriptor.script;
+      const lang = scriptBlock && scriptBlock.lang;
+      const parts = descriptor.styles.map((style, index) =>
+        `import ${JSON.stringify(`${id}${STYLE_QUERY}${index}&lang.css`)};`);
+
+      let bindings;
+      let scriptContent = '';
+      if (scriptBlock) {
+        const script = getCompiler().compileScript(descriptor, {
+          id: scopeHash,
+          isProd: opts.isProduction,
+          genDefaultAs: '_sfc_main',
+          inlineTemplate: Boolean(descriptor.scriptSetup),
+          templateOptions: {
+            scoped,
+            compilerOptions: { scopeId: scoped ? scopeId : undefined }
+          }
+        });
+        bindings = script.bindings;
+        scriptContent = script.content;
+        parts.push(scriptContent);
+      } else {
+        parts.push('const _sfc_main = {};');
+      }
+
+      if (descriptor.template && !descriptor.scriptSetup) {
+        const template = getCompiler().compileTemplate({
+          id: scopeHash,
+          source: descriptor.template.content,
+          filename: id,
+          scoped,
+          isProd: opts.isProduction,
+          compilerOptions: {
+            scopeId: scoped ? scopeId : undefined,
+            bindingMetadata: bindings
+          }
+        });
+        if (template.errors.length > 0) {
+          this.error(formatError(template.errors[0], id));
+        }
+        parts.push(template.code.replace(/\nexport (function|const) render\b/, '\n$1 _sfc_render'));
+        parts.push('_sfc_main.render = _sfc_render;');
+      }
+
+      if (scoped) {
+        parts.push(`_sfc_main.__scopeId = ${JSON.stringify(scopeId)};`);
+      }
+
+      if (isEntry(id) && !/export\s+(async\s+)?(function|const|let|var)\s+mount\b/.test(scriptContent)) {
+        parts.push([
+          "import { createApp as _createApp } from 'vue';",
+          'export function mount(el, props) {',
+          '  const app = _createApp(_sfc_main, props);',
+          '  app.mount(el);',
+          '  return () => app.unmount();',
+          '}'
+        ].join('\n'));
+      }
+
+      parts.push('export default _sfc_main;');
+
+      let output = parts.join('\n');
+      if (lang === 'ts' || lang === 'tsx') {
+        output = stripTypes(output, id, lang);
+      }
+
+      // 编译结果由多个块拼接而成，不提供逐行映射
+      return { code: output, map: { mappings: '' } };
+    }
+  };
+};
@@ -1,22 +1,58 @@
 'use strict';
 
+const path = require('path');
 const postcss = require('rollup-plugin-postcss');
 const commonjs = require('@rollup/plugin-commonjs');
 const { nodeResolve } = require('@rollup/plugin-node-resolve');
 const cssnano = require('cssnano');
 const autoprefixer = require('autoprefixer');
 const assetCopier = require('./plugins/asset-copier');
+const componentCss = require('./plugins/component-css');
+const hotContext = require('./plugins/hot-context');
+const envDefine = require('./plugins/env-define');
+const themeConfig = require('./plugins/theme-config');
+const vueSfc = require('./plugins/vue-sfc');
+const babelTranspile = require('./plugins/babel-transpile');
+const AssetTags = require('../asset-tags');
 
-function getPlugins(config) {
+/**
+ * 样式插件：ES 模块构建按入口拆分组件样式（见 plugins/component-css），结果记录到 config.componentStyles；
+ * nomodule 兼容构建与 ES 模块构建使用相同的样式，只转换不输出
+ */
+function getStylePlugin(config, legacy, postcssOptions) {
+  if (legacy) {
+    return postcss({ ...postcssOptions, extract: true, onExtract: () => false });
+  }
+  return componentCss({
+    postcss: postcssOptions,
+    minimize: true,
+    onStyles: (styles) => {
+      config.componentStyles = styles;
+    }
+  });
+}
+
+// options.legacy: 为 nomodule 兼容构建生成插件，按 config.legacy.targets 降级且不注入热替换接口
+function getPlugins(config, options = {}) {
   const cssAssetsPath = config.cssDir ? `${config.cssDir}/assets` : './assets';
   
   return [
-    postcss({
-      extract: true,
+    {
+      // 增量打包时样式模块始终重新转换：postcss 在转换阶段收集提取的 CSS 和复制的静态资源，
+      // 跳过转换会导致组件 CSS 和构建清单中的资源记录缺失。
+      // shouldTransformCachedModule 取第一个非空返回值，commonjs 插件也实现了该钩子，因此必须放在最前面
+      name: 'goose-retransform-styles',
+      shouldTransformCachedModule({ id }) {
+        return /\.(css|scss|sass|less)$/.test(id);
+      }
+    },
+    getStylePlugin(config, options.legacy, {
       dir: config.cssDir,
-      minimize: true,
       modules: false,
-      sourceMap: false,
+      // 提取的 CSS 总是输出单独的 map，由 BundlerCore 按内容哈希重命名后再按 sourcemaps 模式附加
+      sourceMap: config.sourcemaps !== null,
+      // 各样式模块的 map 以 JS 输出目录为基准，拆分合并后 sources 仍指向正确的源文件
+      to: config.sourcemaps !== null ? path.join(config.getJsDir(), 'components.css') : undefined,
       filter: (id) => {
         if (id.includes('/components.') || id.includes('component.bundle.')) {
           console.log('跳过处理文件:', id);
@@ -28,9 +64,12 @@ function getPlugins(config) {
       plugins: [
         assetCopier({
           assetsPath: cssAssetsPath,
-          publicPath: '/css/assets',
+          // 与资源标签相同地以站点 root 为前缀，站点部署在子目录时 url() 仍指向正确的位置
+          publicPath: AssetTags.getAssetUrl(config.hexo.config.root, 'css/assets'),
           useHash: true,
-          cleanBeforeBuild: true,
+          // 旧资源由构建清单负责清理
+          cleanBeforeBuild: false,
+          onAsset: (asset) => config.copiedAssets.set(asset.source, asset),
           hashOptions: {
             append: true,
             method: 'sha256'
@@ -55,10 +94,21 @@ function getPlugins(config) {
         })
       ]
     }),
+    // .vue 的样式块以带查询参数的 ID 导入，需要在 nodeResolve 之前解析；编译结果再交给 babelTranspile 降级
+    vueSfc({
+      themeDir: config.hexo.theme_dir,
+      baseDir: config.hexo.base_dir,
+      componentsDir: config.getComponentsDir(),
+      isProduction: config.mode !== 'server'
+    }),
+    // 虚拟模块需要在 nodeResolve 之前解析
+    themeConfig({
+      getThemeConfig: () => config.env.THEME
+    }),
     nodeResolve({
       browser: true,
       preferBuiltins: false,
-      extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.css', '.scss', '.sass', '.less']
+      extensions: ['.js', '.jsx', '.ts', '.tsx', '.vue', '.mjs', '.css', '.scss', '.sass', '.less']
     }),
     commonjs({
       transformMixedEsModules: true,
@@ -66,6 +116,23 @@ function getPlugins(config) {
         '**/node_modules/katex/**',
         '**/node_modules/marked/**'
       ]
+    }),
+    // TypeScript 组件移除类型标注，配置 javascript.targets 时按目标浏览器降级语法；
+    // 类型检查由 hexo goose typecheck 单独执行
+    babelTranspile(options.legacy ? {
+      targets: config.legacy.targets
+    } : {
+      targets: config.targets,
+      lowered: config.loweredSyntax
+    }),
+    // 在 TypeScript 类型移除之后替换 import.meta.env，保证摇树前分支条件已是字面量
+    envDefine({
+      getEnv: () => config.env,
+      jsx: Boolean(config.jsx)
+    }),
+    hotContext({
+      enabled: config.hmr && !options.legacy,
+      componentsDir: config.getComponentsDir()
     })
   ];
 }
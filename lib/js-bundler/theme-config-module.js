@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+
+const MODULE_ID = 'goose:theme-config';
+const DEFAULT_TYPES_FILE = 'goose-theme-config.d.ts';
+
+// 不能作为具名导出的保留字
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'yield'
+]);
+
+function isIdentifier(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) && !RESERVED_WORDS.has(key);
+}
+
+/**
+ * 主题配置虚拟模块 goose:theme-config
+ *
+ * 组件通过 `import config from 'goose:theme-config'` 读取主题 _config.yml 中
+ * theme_builder.expose_theme_config 列出的配置项（与 import.meta.env.THEME 相同），
+ * 名称为合法标识符的顶层键同时作为具名导出。
+ *
+ * theme_builder.theme_config_types 为 true 时在主题根目录生成 goose-theme-config.d.ts，
+ * 也可以设置为相对主题目录的路径。类型按配置值推断（string、number、boolean、对象、数组），
+ * 内容不变时不重写文件。
+ */
+class ThemeConfigModule {
+  static get ID() {
+    return MODULE_ID;
+  }
+
+  /**
+   * 类型声明文件的绝对路径
+   * @param {Object} hexo - Hexo 实例
+   * @returns {string|null} 未启用时为 null
+   */
+  static getTypesPath(hexo) {
+    const config = hexo.config.theme_builder || {};
+    const types = config.theme_config_types;
+    if (!types) {
+      return null;
+    }
+    return path.join(hexo.theme_dir, typeof types === 'string' ? types : DEFAULT_TYPES_FILE);
+  }
+
+  // 虚拟模块的源码，使用 var 声明：\0 虚拟模块不经过 Babel 转译，nomodule 兼容脚本中也必须是 ES5
+  static generateCode(themeConfig) {
+    const lines = [`var config = ${JSON.stringify(themeConfig)};`, 'export default config;'];
+    Object.keys(themeConfig).filter(isIdentifier).forEach(key => {
+      lines.push(`export var ${key} = config.${key};`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // 类型声明文件的内容
+  static generateTypes(themeConfig) {
+    const lines = [
+      '// 由 Hexo Goose Builder 根据主题 _config.yml 生成，请勿手动修改',
+      '// 暴露的配置项由 theme_builder.expose_theme_config 决定',
+      `declare module '${MODULE_ID}' {`,
+      `  const config: ${ThemeConfigModule.toType(themeConfig, '  ')};`,
+      '  export default config;'
+    ];
+    Object.keys(themeConfig).filter(isIdentifier).forEach(key => {
+      lines.push(`  export const ${key}: typeof config.${key};`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // 按配置值推断类型，数组元素类型取所有元素类型的联合
+  static toType(value, indent = '') {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      const types = [...new Set(value.map(item => ThemeConfigModule.toType(item, indent)))];
+      if (types.length === 0) return 'unknown[]';
+      return types.length === 1 ? `${types[0]}[]` : `Array<${types.join(' | ')}>`;
+    }
+    if (value instanceof Date) {
+      return 'string';
+    }
+    if (typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '{}';
+      const inner = `${indent}  `;
+      const members = keys.map(key => {
+        const name = isIdentifier(key) ? key : JSON.stringify(key);
+        return `${inner}readonly ${name}: ${ThemeConfigModule.toType(value[key], inner)};`;
+      });
+      return `{\n${members.join('\n')}\n${indent}}`;
+    }
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      return typeof value;
+    }
+    return 'unknown';
+  }
+
+  /**
+   * 写入类型声明文件，内容不变时跳过
+   * @returns {boolean} 是否写入了文件
+   */
+  static writeTypes(hexo, themeConfig) {
+    const typesPath = ThemeConfigModule.getTypesPath(hexo);
+    if (!typesPath) {
+      return false;
+    }
+
+    const content = ThemeConfigModule.generateTypes(themeConfig);
+    if (fs.existsSync(typesPath) && fs.readFileSync(typesPath, 'utf8') === content) {
+      return false;
+    }
+
+    Utils.ensureDirectoryExists(path.dirname(typesPath));
+    fs.writeFileSync(typesPath, content);
+    Utils.logDebug(hexo, `已生成主题配置类型声明: ${path.relative(hexo.theme_dir, typesPath)}`, 'Theme Config');
+    return true;
+  }
+}
+
+module.exports = ThemeConfigModule;
@@ -17,6 +17,20 @@ class BundlerUtils {
     return crypto.createHash('md5').update(content).digest('hex');
   }
 
+  // 从入口文件路径解析组件名称（layout/components/<name>/js/... → <name>）
+  static getComponentName(componentsDir, file) {
+    const parts = path.relative(componentsDir, file).split(path.sep);
+    if (parts[0] === 'components' && parts.length > 1) {
+      return parts[1];
+    }
+    return parts[0];
+  }
+
+  // 组件 js 目录下可作为入口的文件：.js、.ts、.tsx、.vue（不含 .d.ts 类型声明）
+  static isEntryFile(file) {
+    return /\.(js|ts|tsx|vue)$/.test(file) && !file.endsWith('.d.ts');
+  }
+
   static createProgressBar() {
     return new cliProgress.MultiBar({
       clearOnComplete: false,
@@ -61,9 +75,34 @@ class BundlerUtils {
     return `${(size / 1024).toFixed(2)}KB`;
   }
 
+  // 解析配置中的大小：数字为字节，字符串支持 B、KB、MB 后缀（如 '200KB'），无法解析时返回 null
+  static parseSize(value) {
+    if (typeof value === 'number') {
+      return value >= 0 ? value : null;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?\s*$/i.exec(String(value || ''));
+    if (!match) {
+      return null;
+    }
+
+    const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+    return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+  }
+
   static formatCompressionRatio(originalSize, compressedSize) {
     return ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
   }
+
+  // 终端显示宽度，中日韩文字和全角符号占两列
+  static getDisplayWidth(text) {
+    return [...String(text)].reduce((width, char) => width + (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1), 0);
+  }
+
+  // 按显示宽度在右侧补齐空格，用于终端表格对齐
+  static padEnd(text, width) {
+    return String(text) + ' '.repeat(Math.max(0, width - BundlerUtils.getDisplayWidth(text)));
+  }
 }
 
 module.exports = BundlerUtils;
\ No newline at end of file
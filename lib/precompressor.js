@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const chalk = require('chalk');
+const Utils = require('./js-bundler/utils');
+
+// 本身已经压缩过的格式，再压缩几乎不会变小，直接跳过
+const SKIPPED_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif',
+  '.woff', '.woff2', '.mp3', '.mp4', '.webm', '.zip', '.gz', '.br'
+]);
+
+const VARIANTS = [
+  { key: 'gzip', extension: '.gz' },
+  { key: 'brotli', extension: '.br' }
+];
+
+/**
+ * 预压缩资源
+ *
+ * 按 theme_builder.precompress 为复制到 public 目录的 JS、CSS 和静态资源写入 .gz 和 .br 副本，
+ * 供支持预压缩文件的静态服务器直接返回。压缩后没有变小的文件不写副本：
+ *
+ *   precompress: true            # 同时生成 gzip 和 brotli
+ *   precompress:
+ *     gzip: true
+ *     brotli: true
+ *     min_size: 1KB              # 小于该值的文件不压缩
+ */
+class Precompressor {
+  constructor(hexo) {
+    this.hexo = hexo;
+    this.options = Precompressor.normalizeOptions(hexo.config.theme_builder && hexo.config.theme_builder.precompress);
+    this.resetStats();
+  }
+
+  static normalizeOptions(config) {
+    if (!config) {
+      return null;
+    }
+
+    const source = typeof config === 'object' ? config : {};
+    const options = {
+      gzip: source.gzip !== false,
+      brotli: source.brotli !== false,
+      minSize: source.min_size !== undefined ? Utils.parseSize(source.min_size) : 0
+    };
+
+    if (options.minSize === null) {
+      console.warn(chalk.yellow(`[Precompress] ⚠ 无法解析 precompress.min_size: ${source.min_size}，已忽略`));
+      options.minSize = 0;
+    }
+    return options.gzip || options.brotli ? options : null;
+  }
+
+  // 压缩副本的文件扩展名，用于清理旧文件
+  static get EXTENSIONS() {
+    return VARIANTS.map(variant => variant.extension);
+  }
+
+  isEnabled() {
+    return this.options !== null;
+  }
+
+  resetStats() {
+    this.stats = {
+      files: 0,
+      written: 0,
+      skipped: 0,
+      gzip: { files: 0, size: 0, original: 0 },
+      brotli: { files: 0, size: 0, original: 0 }
+    };
+  }
+
+  compress(key, content) {
+    if (key === 'gzip') {
+      return zlib.gzipSync(content, { level: 9 });
+    }
+    return zlib.brotliCompressSync(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 11,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+      }
+    });
+  }
+
+  /**
+   * 为 public 目录中的一个文件写入压缩副本
+   * 生成、部署过程中会多次同步资源，副本比源文件新时直接沿用，不重复压缩
+   * @param {string} filePath - 文件绝对路径
+   * @param {number} sourceMtime - 构建产物的修改时间（毫秒）
+   */
+  compressFile(filePath, sourceMtime = Infinity) {
+    if (SKIPPED_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+      return;
+    }
+
+    const content = fs.readFileSync(filePath);
+    if (content.length < this.options.minSize) {
+      this.stats.skipped++;
+      return;
+    }
+
+    this.stats.files++;
+
+    VARIANTS.filter(variant => this.options[variant.key]).forEach(variant => {
+      const variantPath = filePath + variant.extension;
+      const stats = this.stats[variant.key];
+
+      if (fs.existsSync(variantPath) && fs.statSync(variantPath).mtimeMs >= sourceMtime) {
+        stats.files++;
+        stats.size += fs.statSync(variantPath).size;
+        stats.original += content.length;
+        return;
+      }
+
+      const compressed = this.compress(variant.key, content);
+      if (compressed.length >= content.length) {
+        // 没有变小时不写副本，并删除上一次构建留下的副本
+        if (fs.existsSync(variantPath)) fs.unlinkSync(variantPath);
+        return;
+      }
+
+      fs.writeFileSync(variantPath, compressed);
+      this.stats.written++;
+      stats.files++;
+      stats.size += compressed.length;
+      stats.original += content.length;
+    });
+  }
+
+  // 删除文件的所有压缩副本
+  removeVariants(filePath) {
+    Precompressor.EXTENSIONS.forEach(extension => {
+      if (fs.existsSync(filePath + extension)) {
+        fs.unlinkSync(filePath + extension);
+      }
+    });
+  }
+
+  report() {
+    const { files, written, skipped, gzip, brotli } = this.stats;
+    // 所有副本都已是最新时不重复输出
+    if (written === 0) {
+      return;
+    }
+
+    const describe = (label, stats) => stats.files > 0
+      ? `${label} ${stats.files} 个 ${Utils.formatSize(stats.original)} → ${Utils.formatSize(stats.size)}（-${Utils.formatCompressionRatio(stats.original, stats.size)}%）`
+      : `${label} 0 个`;
+    const parts = [];
+    if (this.options.gzip) parts.push(describe('gzip', gzip));
+    if (this.options.brotli) parts.push(describe('brotli', brotli));
+
+    console.log(chalk.green(`[Precompress] ✓ 预压缩 ${files} 个文件: ${parts.join('，')}`));
+    if (skipped > 0) {
+      console.log(chalk.gray(`[Precompress] ${skipped} 个文件小于 ${Utils.formatSize(this.options.minSize)}，未压缩`));
+    }
+  }
+}
+
+module.exports = Precompressor;
@@ -7,6 +7,18 @@ const { minimatch } = require('minimatch');
 const Utils = require('./utils');
 const { Server } = require('socket.io');
 const http = require('http');
+const fs = require('fs');
+const AssetTags = require('./asset-tags');
+const AssetManifest = require('./asset-manifest');
+
+// 热重载客户端脚本，由 Socket.IO 服务所在的 HTTP 服务器提供
+const HOT_RELOAD_CLIENT_PATH = '/goose/hot-reload-client.js';
+const HOT_RELOAD_CLIENT_FILE = path.join(__dirname, 'templates', 'hot-reload-client.js');
+
+// 去除终端颜色控制字符，错误信息需要在浏览器中显示
+function stripAnsi(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
 
 /**
  * 服务器模式处理器
@@ -29,6 +41,9 @@ class ServerModeHandler {
     this.socketPort = null;
     this.connectedClients = new Set();
 
+    // 各构建管线当前的错误（管线名称 → build_error 数据），全部为空时构建正常
+    this.buildErrors = new Map();
+
     // 编译策略常量
     this.COMPILE_STRATEGIES = {
       FULL: 'full',           // 完整编译（TailwindCSS + 模块编译）
@@ -192,6 +207,8 @@ class ServerModeHandler {
       // 仅JS编译的文件模式（仅执行模块编译并重载）
       js_only: [
         'layout/components/**/*.js',       // 组件目录下的js文件
+        'layout/components/**/*.{ts,tsx}', // 组件目录下的TypeScript文件
+        'layout/components/**/*.vue',      // 组件目录下的Vue单文件组件
         'layout/components/**/*.ejs'       // 组件目录下的ejs文件
       ],
       // 仅CSS编译的文件模式（仅重载编译 TailwindCSS流程）
@@ -215,7 +232,8 @@ class ServerModeHandler {
         'source/js/components.*',          // 编译输出的JS文件
         '**/.git/**',                      // Git版本控制文件
         '**/node_modules/**',              // Node.js模块目录
-        '**/*.manifest.json'               // 组件清单文件
+        '**/*.manifest.json',              // 组件清单文件
+        'goose-manifest.json'              // 构建清单文件
       ]
     };
 
@@ -320,6 +338,11 @@ class ServerModeHandler {
   async executeCompileStrategy(strategy, filePath) {
     const relativePath = filePath ? path.relative(this.hexo.theme_dir, filePath) : '未知文件';
     
+    // 上一次编译流程抛出的错误由本次编译重新确认
+    if (strategy !== this.COMPILE_STRATEGIES.SKIP) {
+      this.buildErrors.delete('build');
+    }
+
     try {
       // 在执行编译策略前，尝试清理可能的陈旧Warehouse记录
       await this.safeExecuteWithWarehouseCleanup(async () => {
@@ -328,6 +351,7 @@ class ServerModeHandler {
             Utils.logInfo(this.hexo, `执行完整编译 (TailwindCSS + 模块编译): ${relativePath}`, 'Server Mode');
             this.themeBuilder.clearCompileCache();
             await this.themeBuilder.compileAssets();
+            if (this.reportBuildErrors(['tailwind', 'js'])) break;
             Utils.logSuccess(this.hexo, '完整编译完成', 'Server Mode');
             
             // 完整编译后刷新数据库
@@ -344,40 +368,63 @@ class ServerModeHandler {
           case this.COMPILE_STRATEGIES.CSS_ONLY:
             Utils.logInfo(this.hexo, `执行TailwindCSS编译: ${relativePath}`, 'Server Mode');
             Utils.logDebug(this.hexo, '🔧 使用强制重新编译模式，确保组件CSS文件变化生效', 'Server Mode');
+            // 记录编译前的样式文件，用于告知客户端替换哪些 <link>
+            const previousStylesheets = this.getStylesheetAssets();
             // CSS编译器会自动清理相关的CSS文件
             // 在服务器模式下强制重新编译，避免组件CSS缓存问题
             Utils.logDebug(this.hexo, '📞 调用 compileCSSOnly({ forceRecompile: true })', 'Server Mode');
             const compileResult = await this.themeBuilder.compileCSSOnly({ forceRecompile: true });
             Utils.logDebug(this.hexo, `CSS编译结果: ${compileResult ? '✅ 成功' : '❌ 失败'}`, 'Server Mode');
+            if (this.reportBuildErrors(['tailwind'])) break;
             Utils.logSuccess(this.hexo, 'TailwindCSS编译完成', 'Server Mode');
             
             // TailwindCSS编译完成后刷新数据库
             await this.refreshHexoDatabase('TailwindCSS编译完成');
             
-            // 通知客户端重载
-            this.broadcastReload({
-              strategy: 'css_only',
-              changedFile: relativePath,
-              message: 'TailwindCSS编译完成，页面即将重新加载'
-            });
+            // 模板变化会影响页面结构，仍需整页重载；纯样式变化只替换样式表
+            if (this.isTemplateFile(relativePath)) {
+              this.broadcastReload({
+                strategy: 'css_only',
+                changedFile: relativePath,
+                message: 'TailwindCSS编译完成，页面即将重新加载'
+              });
+            } else {
+              this.broadcastCssUpdate(previousStylesheets, {
+                strategy: 'css_only',
+                changedFile: relativePath,
+                message: '样式已更新'
+              });
+            }
             break;
 
           case this.COMPILE_STRATEGIES.JS_ONLY:
             Utils.logInfo(this.hexo, `执行模块编译: ${relativePath}`, 'Server Mode');
+            // 记录编译前的入口脚本和样式文件，用于计算需要热替换的模块
+            const previousEntries = this.getEntryAssets();
+            const previousComponentStylesheets = this.getStylesheetAssets();
             // JS编译器会自动清理相关的JS文件和组件CSS文件
             // 在服务器模式下强制重新编译，确保组件变化生效
             await this.themeBuilder.compileJSOnly({ forceRecompile: true });
+            if (this.reportBuildErrors(['js'])) break;
             Utils.logSuccess(this.hexo, '模块编译完成', 'Server Mode');
             
             // 模块编译完成后刷新数据库
             await this.refreshHexoDatabase('模块编译完成');
             
-            // 通知客户端重载
-            this.broadcastReload({
-              strategy: 'js_only',
-              changedFile: relativePath,
-              message: '模块编译完成，页面即将重新加载'
-            });
+            // 组件模板变化需要整页重载，脚本变化尝试热替换
+            if (this.isTemplateFile(relativePath)) {
+              this.broadcastReload({
+                strategy: 'js_only',
+                changedFile: relativePath,
+                message: '模块编译完成，页面即将重新加载'
+              });
+            } else {
+              this.broadcastJsUpdate(previousEntries, previousComponentStylesheets, {
+                strategy: 'js_only',
+                changedFile: relativePath,
+                message: '模块已更新'
+              });
+            }
             break;
 
           case this.COMPILE_STRATEGIES.SKIP:
@@ -391,6 +438,8 @@ class ServerModeHandler {
       });
     } catch (error) {
       Utils.logError(this.hexo, `执行编译策略 ${strategy} 失败:`, error, 'Server Mode');
+      this.buildErrors.set('build', this.formatBuildError(error, 'build'));
+      this.broadcastBuildError(this.buildErrors.get('build'));
       throw error;
     }
   }
@@ -519,6 +568,7 @@ class ServerModeHandler {
       relativePath.includes('source/css/component.') ||
       relativePath.includes('source/js/components.') ||
       relativePath.includes('.manifest.json') ||
+      relativePath === 'goose-manifest.json' ||
       relativePath.includes('node_modules') ||
       relativePath.includes('.git')
     );
@@ -667,7 +717,8 @@ class ServerModeHandler {
         /source\/css\/components\./,
         /source\/css\/component\./,
         /source\/js\/components\./,
-        /\.manifest\.json$/
+        /\.manifest\.json$/,
+        /goose-manifest\.json$/
       ];
 
       // 添加用户配置的忽略路径
@@ -781,8 +832,8 @@ class ServerModeHandler {
       const defaultPort = (this.hexo.config.port || 4000) + 1000;
       this.socketPort = socketConfig.port || defaultPort;
       
-      // 创建HTTP服务器
-      this.socketServer = http.createServer();
+      // 创建HTTP服务器，除 Socket.IO 自身的请求外还提供热重载客户端脚本
+      this.socketServer = http.createServer((req, res) => this.handleSocketHttpRequest(req, res));
       
       // 创建Socket.IO实例
       this.io = new Server(this.socketServer, {
@@ -791,7 +842,9 @@ class ServerModeHandler {
           methods: ["GET", "POST"],
           credentials: true
         },
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        // 由本地服务提供浏览器客户端（/socket.io/socket.io.min.js），版本始终与服务端一致，离线环境同样可用
+        serveClient: true
       });
       
       // 监听连接事件
@@ -810,6 +863,12 @@ class ServerModeHandler {
           message: 'Theme Builder热重载服务已连接',
           timestamp: Date.now()
         });
+
+        // 构建仍处于失败状态时，新打开的页面同样显示错误
+        const buildError = this.getCurrentBuildError();
+        if (buildError) {
+          socket.emit('build_error', buildError);
+        }
       });
       
       // 启动服务器
@@ -830,6 +889,34 @@ class ServerModeHandler {
     }
   }
 
+  /**
+   * 处理 Socket.IO 服务器上的普通 HTTP 请求
+   * /socket.io/ 路径由 Socket.IO 处理，不会进入这里
+   */
+  handleSocketHttpRequest(req, res) {
+    const pathname = (req.url || '').split('?')[0];
+
+    if (req.method === 'GET' && pathname === HOT_RELOAD_CLIENT_PATH) {
+      try {
+        const content = fs.readFileSync(HOT_RELOAD_CLIENT_FILE);
+        res.writeHead(200, {
+          'Content-Type': 'application/javascript; charset=utf-8',
+          'Content-Length': content.length,
+          'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+      } catch (error) {
+        Utils.logError(this.hexo, '读取热重载客户端脚本失败:', error, 'Server Mode');
+        res.writeHead(500);
+        res.end();
+      }
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
   /**
    * 停止Socket.IO服务
    */
@@ -888,6 +975,204 @@ class ServerModeHandler {
     this.io.emit('theme_reload', reloadData);
   }
 
+  /**
+   * 广播样式更新，客户端原地替换 <link> 而不重新加载页面
+   * @param {Array<Object>} previousStylesheets - 编译前的样式资源，见 getStylesheetAssets
+   * @param {Object} compileInfo - 附加信息
+   */
+  broadcastCssUpdate(previousStylesheets, compileInfo = {}) {
+    if (!this.io || this.connectedClients.size === 0) {
+      Utils.logDebug(this.hexo, 'Socket.IO服务未启动或无客户端连接，跳过样式更新通知', 'Server Mode');
+      return;
+    }
+
+    const stylesheets = this.diffAssets(previousStylesheets, this.getStylesheetAssets());
+
+    const updateData = {
+      type: 'css_update',
+      timestamp: Date.now(),
+      stylesheets,
+      ...compileInfo
+    };
+
+    Utils.logDebug(this.hexo, `通知 ${this.connectedClients.size} 个客户端更新 ${stylesheets.length} 个样式文件`, 'Server Mode');
+    this.io.emit('css_update', updateData);
+  }
+
+  /**
+   * 广播模块热替换，携带内容发生变化的入口脚本和组件样式
+   * 入口被删除时无法热替换，改为整页重载
+   * @param {Array<Object>} previousEntries - 编译前的入口脚本，见 getEntryAssets
+   * @param {Array<Object>} previousStylesheets - 编译前的样式资源
+   * @param {Object} compileInfo - 附加信息
+   */
+  broadcastJsUpdate(previousEntries, previousStylesheets, compileInfo = {}) {
+    if (!this.io || this.connectedClients.size === 0) {
+      Utils.logDebug(this.hexo, 'Socket.IO服务未启动或无客户端连接，跳过模块更新通知', 'Server Mode');
+      return;
+    }
+
+    const currentEntries = this.getEntryAssets();
+    const currentNames = new Set(currentEntries.map(entry => entry.name));
+    const removed = previousEntries.filter(entry => !currentNames.has(entry.name));
+    if (removed.length > 0) {
+      Utils.logDebug(this.hexo, `入口脚本已删除: ${removed.map(entry => entry.name).join(', ')}`, 'Server Mode');
+      this.broadcastReload({ ...compileInfo, message: '模块编译完成，页面即将重新加载' });
+      return;
+    }
+
+    const entries = this.diffAssets(previousEntries, currentEntries);
+    const stylesheets = this.diffAssets(previousStylesheets, this.getStylesheetAssets());
+
+    const updateData = {
+      type: 'js_update',
+      timestamp: Date.now(),
+      entries,
+      stylesheets,
+      ...compileInfo
+    };
+
+    Utils.logDebug(this.hexo, `通知 ${this.connectedClients.size} 个客户端热替换 ${entries.length} 个入口脚本: ${entries.map(entry => entry.name).join(', ')}`, 'Server Mode');
+    this.io.emit('js_update', updateData);
+  }
+
+  // 比较编译前后的资源，返回地址发生变化（或新增）的资源，附带旧地址 previousUrl
+  diffAssets(previousAssets, currentAssets) {
+    const previousUrls = new Map(previousAssets.map(asset => [asset.name, asset.url]));
+    return currentAssets
+      .map(asset => ({ ...asset, previousUrl: previousUrls.get(asset.name) || null }))
+      .filter(asset => asset.url !== asset.previousUrl);
+  }
+
+  // 构建清单中的样式文件：逻辑名称、访问路径、完整性哈希（未启用 SRI 时为 null）
+  // 以及导入该样式的组件（全局样式为空数组，页面只加载所用组件的样式）
+  getStylesheetAssets() {
+    const manifest = this.themeBuilder.assetManifest;
+    if (!manifest) {
+      return [];
+    }
+
+    const components = new Map();
+    manifest.getAssets({ type: 'js', entry: true, legacy: false }).forEach(entry => {
+      (entry.css || []).forEach(name => {
+        if (!components.has(name)) components.set(name, []);
+        if (!components.get(name).includes(entry.component)) components.get(name).push(entry.component);
+      });
+    });
+
+    const { enable } = AssetManifest.getIntegrityOptions(this.hexo.config);
+    return manifest.getAssets({ type: 'css' }).map(asset => ({
+      name: asset.name,
+      url: AssetTags.getAssetUrl(this.hexo.config.root, asset.file),
+      integrity: enable ? asset.integrity : null,
+      components: components.get(asset.name) || []
+    }));
+  }
+
+  // 构建清单中的组件入口脚本：逻辑名称、所属组件和访问路径
+  getEntryAssets() {
+    const manifest = this.themeBuilder.assetManifest;
+    if (!manifest) {
+      return [];
+    }
+
+    return manifest.getAssets({ type: 'js', entry: true }).map(asset => ({
+      name: asset.name,
+      component: asset.component,
+      url: AssetTags.getAssetUrl(this.hexo.config.root, asset.file)
+    }));
+  }
+
+  isTemplateFile(relativePath) {
+    return path.extname(relativePath).toLowerCase() === '.ejs';
+  }
+
+  /**
+   * 根据编译器记录的错误更新构建状态，存在错误时广播 build_error
+   * @param {string[]} pipelines - 本次执行过的构建管线（tailwind、js）
+   * @returns {boolean} 是否存在构建错误
+   */
+  reportBuildErrors(pipelines) {
+    pipelines.forEach(pipeline => {
+      const error = pipeline === 'tailwind'
+        ? this.themeBuilder.tailwindCompiler.lastError
+        : this.themeBuilder.jsBundler.getLastError();
+
+      if (error) {
+        this.buildErrors.set(pipeline, this.formatBuildError(error, pipeline));
+      } else {
+        this.buildErrors.delete(pipeline);
+      }
+    });
+
+    const buildError = this.getCurrentBuildError();
+    if (buildError) {
+      Utils.logWarning(this.hexo, `构建失败（${buildError.pipeline}），已通知浏览器显示错误`, 'Server Mode');
+      this.broadcastBuildError(buildError);
+      return true;
+    }
+    return false;
+  }
+
+  getCurrentBuildError() {
+    return this.buildErrors.values().next().value || null;
+  }
+
+  /**
+   * 将 Rollup、PostCSS 或普通错误整理为 build_error 数据
+   * @param {Error} error
+   * @param {string} pipeline - 出错的构建管线
+   */
+  formatBuildError(error, pipeline) {
+    // TailwindCSS 编译的是合并了组件样式的临时内容，行列号无法对应到源文件
+    if (pipeline === 'tailwind') {
+      return {
+        type: 'build_error',
+        pipeline,
+        message: stripAnsi(error.reason || error.message || String(error)),
+        file: 'tailwind.css',
+        line: null,
+        column: null,
+        frame: null,
+        code: error.code || null,
+        plugin: error.plugin || null,
+        timestamp: Date.now()
+      };
+    }
+
+    const loc = error.loc || {};
+    const file = loc.file || error.file || error.id || null;
+    let frame = error.frame || null;
+    if (!frame && typeof error.showSourceCode === 'function') {
+      try {
+        frame = error.showSourceCode(false);
+      } catch (e) {
+        frame = null;
+      }
+    }
+
+    return {
+      type: 'build_error',
+      pipeline,
+      message: stripAnsi(error.reason || error.message || String(error)),
+      // PostCSS 的来源路径可能带有避免缓存的查询参数
+      file: file ? path.relative(this.hexo.theme_dir, file.split('?')[0]).replace(/\\/g, '/') : null,
+      line: loc.line || error.line || null,
+      column: loc.column !== undefined ? loc.column : (error.column || null),
+      frame: frame ? stripAnsi(frame) : null,
+      code: error.code || null,
+      plugin: error.plugin || null,
+      timestamp: Date.now()
+    };
+  }
+
+  broadcastBuildError(buildError) {
+    if (!this.io || this.connectedClients.size === 0) {
+      return;
+    }
+    this.io.emit('build_error', buildError);
+  }
+
   /**
    * 获取Socket.IO客户端连接信息
    */
@@ -899,6 +1184,29 @@ class ServerModeHandler {
     };
   }
 
+  /**
+   * 生成热重载客户端的 script 标签，服务未启动时返回空数组
+   * 客户端脚本为外部文件，配合 nonce 即可在严格的 script-src 策略下运行
+   * @param {Object} [options]
+   * @param {string} [options.nonce] - CSP nonce
+   * @param {boolean} [options.debug] - 是否在浏览器控制台输出日志
+   * @returns {string[]}
+   */
+  getHotReloadClientTags(options = {}) {
+    if (!this.io || !this.socketPort) {
+      return [];
+    }
+
+    const origin = `http://localhost:${this.socketPort}`;
+    const nonceAttribute = AssetTags.getNonceAttribute(options.nonce);
+
+    return [
+      '<!-- Theme Builder 热重载客户端 -->',
+      `<script src="${origin}/socket.io/socket.io.min.js"${nonceAttribute}></script>`,
+      `<script src="${origin}${HOT_RELOAD_CLIENT_PATH}" data-port="${this.socketPort}" data-debug="${options.debug === true}"${nonceAttribute}></script>`
+    ];
+  }
+
   /**
    * 清理资源
    */
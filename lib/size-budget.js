@@ -0,0 +1,201 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const chalk = require('chalk');
+const Utils = require('./js-bundler/utils');
+
+const SIZES_VERSION = 1;
+const METRICS = ['raw', 'gzip', 'brotli'];
+
+/**
+ * 组件脚本体积预算
+ *
+ * 按 theme_builder.budgets 检查构建清单中的 JS 文件（nomodule 兼容脚本除外），
+ * 每项预算可以限制原始大小、gzip 和 brotli 压缩后的大小，只写一个值时视为原始大小：
+ *
+ *   budgets:
+ *     entry: { raw: 50KB, gzip: 15KB }   # 每个组件入口
+ *     chunk: { gzip: 60KB }              # 每个共享分块（vendor、shared 等）
+ *     total: { gzip: 150KB }             # 所有脚本合计
+ *     files:                             # 按清单逻辑名称单独设置，覆盖 entry/chunk
+ *       vendor-framework.js: { gzip: 90KB }
+ *
+ * 每次检查后把测量结果写入主题根目录的 goose-sizes.json，下一次构建据此计算变化量。
+ */
+class SizeBudget {
+  constructor(hexo) {
+    this.hexo = hexo;
+    this.config = (hexo.config.theme_builder && hexo.config.theme_builder.budgets) || null;
+    this.sizesPath = path.join(hexo.theme_dir, SizeBudget.FILE_NAME);
+  }
+
+  static get FILE_NAME() {
+    return 'goose-sizes.json';
+  }
+
+  isEnabled() {
+    return Boolean(this.config) && ['entry', 'chunk', 'total', 'files'].some(key => this.config[key]);
+  }
+
+  /**
+   * 解析一项预算：数字或大小字符串视为原始大小，对象按 raw、gzip、brotli 分别解析
+   * @returns {Object<string, number>|null}
+   */
+  parseLimits(value, label) {
+    if (value === undefined || value === null || value === false) {
+      return null;
+    }
+
+    const source = typeof value === 'object' ? value : { raw: value };
+    const limits = {};
+    METRICS.forEach(metric => {
+      if (source[metric] === undefined) return;
+      const size = Utils.parseSize(source[metric]);
+      if (size === null) {
+        console.warn(chalk.yellow(`[Size Budget] ⚠ 无法解析预算 ${label}.${metric}: ${source[metric]}`));
+        return;
+      }
+      limits[metric] = size;
+    });
+
+    return Object.keys(limits).length > 0 ? limits : null;
+  }
+
+  // 单个文件适用的预算：files 中的设置优先，其次按入口或分块
+  getFileLimits(asset) {
+    const files = this.config.files || {};
+    if (files[asset.name] !== undefined) {
+      return this.parseLimits(files[asset.name], `files.${asset.name}`);
+    }
+    return asset.entry
+      ? this.parseLimits(this.config.entry, 'entry')
+      : this.parseLimits(this.config.chunk, 'chunk');
+  }
+
+  // 测量文件的原始、gzip 和 brotli 大小（均使用最高压缩级别）
+  measure(content) {
+    return {
+      raw: content.length,
+      gzip: zlib.gzipSync(content, { level: 9 }).length,
+      brotli: zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 }
+      }).length
+    };
+  }
+
+  loadPreviousSizes() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.sizesPath, 'utf8'));
+      return data && data.version === SIZES_VERSION && data.sizes ? data.sizes : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveSizes(sizes) {
+    const sorted = {};
+    Object.keys(sizes).sort().forEach(name => {
+      sorted[name] = sizes[name];
+    });
+    fs.writeFileSync(this.sizesPath, JSON.stringify({ version: SIZES_VERSION, sizes: sorted }, null, 2) + '\n');
+  }
+
+  /**
+   * 检查构建清单中的脚本是否超出预算，输出超出项并记录本次测量结果
+   * @param {AssetManifest} manifest - 构建清单
+   * @returns {{passed: boolean, violations: Array<Object>}}
+   */
+  check(manifest) {
+    const previous = this.loadPreviousSizes();
+    const sizes = {};
+    const violations = [];
+    const total = { raw: 0, gzip: 0, brotli: 0 };
+
+    const assets = manifest.getAssets({ type: 'js' }).filter(asset => !asset.legacy);
+    assets.forEach(asset => {
+      const filePath = manifest.getAbsolutePath(asset.file);
+      if (!fs.existsSync(filePath)) return;
+
+      const measured = this.measure(fs.readFileSync(filePath));
+      sizes[asset.name] = measured;
+      METRICS.forEach(metric => {
+        total[metric] += measured[metric];
+      });
+
+      const limits = this.getFileLimits(asset);
+      this.collectViolations(violations, {
+        name: asset.name,
+        kind: asset.entry ? '入口' : '分块',
+        limits,
+        measured,
+        previous: previous[asset.name]
+      });
+    });
+
+    sizes['*'] = total;
+    this.collectViolations(violations, {
+      name: '全部脚本',
+      kind: '总计',
+      limits: this.parseLimits(this.config.total, 'total'),
+      measured: total,
+      previous: previous['*']
+    });
+
+    this.saveSizes(sizes);
+    this.report(violations, assets.length);
+
+    return { passed: violations.length === 0, violations };
+  }
+
+  collectViolations(violations, { name, kind, limits, measured, previous }) {
+    if (!limits) return;
+
+    METRICS.forEach(metric => {
+      if (limits[metric] === undefined || measured[metric] <= limits[metric]) return;
+      violations.push({
+        name,
+        kind,
+        metric,
+        size: measured[metric],
+        limit: limits[metric],
+        delta: previous && previous[metric] !== undefined ? measured[metric] - previous[metric] : null
+      });
+    });
+  }
+
+  report(violations, fileCount) {
+    if (violations.length === 0) {
+      console.log(chalk.green(`[Size Budget] ✓ 体积预算检查通过（${fileCount} 个脚本文件）`));
+      return;
+    }
+
+    const rows = violations.map(item => [
+      item.name,
+      item.kind,
+      item.metric,
+      Utils.formatSize(item.size),
+      Utils.formatSize(item.limit),
+      `+${Utils.formatSize(item.size - item.limit)}`,
+      SizeBudget.formatDelta(item.delta)
+    ]);
+    const header = ['资源', '类型', '指标', '大小', '预算', '超出', '较上次'];
+    const widths = header.map((title, index) =>
+      Math.max(Utils.getDisplayWidth(title), ...rows.map(row => Utils.getDisplayWidth(row[index]))));
+    const formatRow = row => row.map((cell, index) => Utils.padEnd(cell, widths[index])).join('  ');
+
+    console.log(chalk.red(`\n[Size Budget] ❌ ${violations.length} 项超出体积预算:\n`));
+    console.log(chalk.bold(`  ${formatRow(header)}`));
+    rows.forEach(row => console.log(`  ${formatRow(row)}`));
+    console.log('');
+  }
+
+  static formatDelta(delta) {
+    if (delta === null) return '新增';
+    if (delta === 0) return '无变化';
+    return `${delta > 0 ? '+' : '-'}${Utils.formatSize(Math.abs(delta))}`;
+  }
+}
+
+module.exports = SizeBudget;
@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Utils = require('./utils');
+
+const MODES = ['inline', 'external', 'hidden'];
+// 以下划线开头的目录不会被 Hexo 当作主题资源处理，hidden 模式的 map 写在这里
+const HIDDEN_DIR = '_sourcemaps';
+
+/**
+ * Source map 输出
+ *
+ * theme_builder.sourcemaps 控制 JS（Rollup → terser）和 CSS（TailwindCSS → cssnano、组件样式）产物的 source map：
+ *   inline    以 data URL 内联在文件末尾
+ *   external  写入同目录的 <文件名>.map，文件末尾添加 sourceMappingURL 注释
+ *   hidden    写入主题 source/_sourcemaps/ 目录，不添加注释，也不会发布到 public 目录，供错误监控平台上传使用
+ * 设置为 true 等同于 external，未设置或 false 时不生成。
+ *
+ * map 中的 sources 统一为相对主题目录的路径，并包含源码内容，生成的 map 与源码一一对应，重复构建结果一致。
+ */
+class SourceMaps {
+  static get HIDDEN_DIR() {
+    return HIDDEN_DIR;
+  }
+
+  /**
+   * 读取 theme_builder.sourcemaps 配置
+   * @param {Object} hexoConfig - Hexo 站点配置
+   * @returns {string|null} inline、external、hidden，未启用时为 null
+   */
+  static getMode(hexoConfig) {
+    const value = hexoConfig && hexoConfig.theme_builder && hexoConfig.theme_builder.sourcemaps;
+    if (value === undefined || value === null || value === false) {
+      return null;
+    }
+    if (value === true) {
+      return 'external';
+    }
+
+    const mode = String(value).toLowerCase();
+    if (!MODES.includes(mode)) {
+      console.warn(chalk.yellow(`[Source Maps] ⚠ 未知的 sourcemaps 模式: ${value}（可选 inline、external、hidden），已关闭 source map`));
+      return null;
+    }
+    return mode;
+  }
+
+  // map 文件相对主题 source 目录的路径，inline 模式没有单独的文件
+  static getMapFile(file, mode) {
+    if (mode === 'external') return `${file}.map`;
+    if (mode === 'hidden') return `${HIDDEN_DIR}/${file}.map`;
+    return null;
+  }
+
+  // hidden 模式的 map 不复制到 public 目录
+  static isHidden(mapFile) {
+    return mapFile.startsWith(`${HIDDEN_DIR}/`);
+  }
+
+  // 源文件路径转换为相对主题目录的路径，去掉 Rollup 虚拟模块前缀和查询参数（PostCSS 会把 ? 编码为 %3F）
+  static toThemePath(source, mapDir, themeDir) {
+    let cleanSource = source.replace(/^\0/, '');
+    try {
+      cleanSource = decodeURIComponent(cleanSource);
+    } catch (error) {
+      // 保留无法解码的原始路径
+    }
+    cleanSource = cleanSource.split('?')[0];
+    const absolute = path.resolve(mapDir, cleanSource);
+    return path.relative(themeDir, absolute).split(path.sep).join('/');
+  }
+
+  /**
+   * Rollup 输出的 source map 选项
+   * hidden 模式同样先写在产物旁边，由 moveHiddenMap 移动到 _sourcemaps 目录
+   * @param {string|null} mode
+   * @param {string} themeDir - 主题目录
+   */
+  static getRollupOptions(mode, themeDir) {
+    if (!mode) {
+      return { sourcemap: false };
+    }
+
+    const sourcemap = { inline: 'inline', external: true, hidden: 'hidden' }[mode];
+    return {
+      sourcemap,
+      sourcemapPathTransform: (source, sourcemapPath) =>
+        SourceMaps.toThemePath(source, path.dirname(sourcemapPath), themeDir)
+    };
+  }
+
+  /**
+   * 把 hidden 模式下 Rollup 写在产物旁边的 map 移动到 _sourcemaps 目录
+   * @param {string} file - 产物相对 source 目录的路径
+   * @param {string} sourceDir - 主题 source 目录
+   * @returns {string} map 文件相对 source 目录的路径
+   */
+  static moveHiddenMap(file, sourceDir) {
+    const mapFile = SourceMaps.getMapFile(file, 'hidden');
+    const targetPath = path.join(sourceDir, ...mapFile.split('/'));
+    Utils.ensureDirectoryExists(path.dirname(targetPath));
+    fs.renameSync(path.join(sourceDir, ...`${file}.map`.split('/')), targetPath);
+    return mapFile;
+  }
+
+  // 去掉代码末尾已有的 sourceMappingURL 注释
+  static stripComment(code) {
+    return code.replace(/\n?(?:\/\*# sourceMappingURL=[^*]*\*\/|\/\/# sourceMappingURL=\S*)\s*$/, '');
+  }
+
+  /**
+   * 按模式为产物附加 source map：inline 追加 data URL，external 和 hidden 写入 map 文件
+   * @param {Object} options
+   * @param {string} options.code - 不含 sourceMappingURL 注释的代码
+   * @param {Object} options.map - source map 对象（sources 已是相对主题目录的路径）
+   * @param {string} options.file - 产物相对 source 目录的路径
+   * @param {string} options.mode - inline、external 或 hidden
+   * @param {string} options.sourceDir - 主题 source 目录
+   * @returns {{code: string, sourcemap: string|null}} 写入产物的代码，以及 map 文件相对 source 目录的路径
+   */
+  static attach({ code, map, file, mode, sourceDir }) {
+    const fileName = path.posix.basename(file);
+    const separator = code.endsWith('\n') ? '' : '\n';
+    const comment = url => file.endsWith('.css')
+      ? `${separator}/*# sourceMappingURL=${url} */`
+      : `${separator}//# sourceMappingURL=${url}`;
+    const content = JSON.stringify({ ...map, file: fileName });
+
+    if (mode === 'inline') {
+      const dataUrl = `data:application/json;charset=utf-8;base64,${Buffer.from(content).toString('base64')}`;
+      return { code: code + comment(dataUrl), sourcemap: null };
+    }
+
+    const mapFile = SourceMaps.getMapFile(file, mode);
+    const mapPath = path.join(sourceDir, ...mapFile.split('/'));
+    Utils.ensureDirectoryExists(path.dirname(mapPath));
+    fs.writeFileSync(mapPath, content);
+
+    return {
+      code: mode === 'external' ? code + comment(`${fileName}.map`) : code,
+      sourcemap: mapFile
+    };
+  }
+}
+
+module.exports = SourceMaps;
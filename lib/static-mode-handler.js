@@ -1,6 +1,8 @@
 'use strict';
 
 const chalk = require('chalk');
+const SizeBudget = require('./size-budget');
+const Precompressor = require('./precompressor');
 
 /**
  * 静态模式处理器
@@ -15,6 +17,7 @@ class StaticModeHandler {
     // 添加状态跟踪，防止重复操作
     this.hasInitialized = false;
     this.hasCopiedAssets = false;
+    this.hasCheckedBudgets = false;
   }
 
   /**
@@ -157,6 +160,9 @@ class StaticModeHandler {
       } else {
         console.log(chalk.green(`[Static Mode] ✓ ${this.currentMode}模式：资源已编译，跳过重复编译`));
       }
+
+      // 超出体积预算时抛出错误，中止生成
+      this.checkSizeBudgets();
     }, 0); // 最高优先级
 
     // 新增：after_generate 事件，确保public目录中有编译的文件
@@ -227,6 +233,9 @@ class StaticModeHandler {
       } else {
         console.log(chalk.green('[Static Mode] ✓ Deploy模式：资源已编译，可以开始部署'));
       }
+
+      // 超出体积预算时抛出错误，中止部署
+      this.checkSizeBudgets();
     }, 10); // 降低优先级，避免干扰Hexo正常流程
   }
 
@@ -302,6 +311,9 @@ class StaticModeHandler {
       
       // 验证编译后的资源文件
       await this.themeBuilder.verifyCompiledAssets();
+
+      // 验证体积预算
+      this.checkSizeBudgets();
       
       console.log(chalk.green('[Static Mode] ✓ Deploy模式：最终检查通过，可以安全部署'));
     } catch (error) {
@@ -310,6 +322,24 @@ class StaticModeHandler {
     }
   }
 
+  /**
+   * 按 theme_builder.budgets 检查组件脚本体积，超出预算时抛出错误
+   * 同一次生成或部署中只检查一次（deploy -g 会依次触发生成和部署过滤器）
+   */
+  checkSizeBudgets() {
+    const budget = new SizeBudget(this.hexo);
+    if (!budget.isEnabled() || this.hasCheckedBudgets || !this.themeBuilder.assetManifest) {
+      return;
+    }
+
+    const { passed, violations } = budget.check(this.themeBuilder.assetManifest);
+    this.hasCheckedBudgets = true;
+
+    if (!passed) {
+      throw new Error(`组件脚本超出体积预算（${violations.length} 项），已中止${this.isDeployMode() ? '部署' : '生成'}`);
+    }
+  }
+
   /**
    * 清理资源（静态模式通常不需要特殊清理）
    */
@@ -318,36 +348,13 @@ class StaticModeHandler {
   }
 
   /**
-   * 安全地确保资源文件存在于public目录（不清空现有文件）
+   * 安全地确保资源文件存在于public目录（只复制缺失的文件）
    */
   async safeEnsureAssetsInPublic() {
-    const fs = require('fs');
-    const path = require('path');
-    const Utils = require('./utils');
-    
     try {
       console.log(chalk.blue(`[Static Mode] 安全确保主题资源文件存在于public目录...`));
       
-      const publicCssDir = path.join(this.hexo.public_dir, 'css');
-      const publicJsDir = path.join(this.hexo.public_dir, 'js');
-      const themeCssDir = path.join(this.hexo.theme_dir, 'source/css');
-      const themeJsDir = path.join(this.hexo.theme_dir, 'source/js');
-      
-      // 确保public目录存在，但不清空
-      Utils.ensureDirectoryExists(publicCssDir);
-      Utils.ensureDirectoryExists(publicJsDir);
-      
-      let copiedCount = 0;
-      
-      // 安全复制CSS文件（只复制不存在的文件）
-      if (fs.existsSync(themeCssDir)) {
-        copiedCount += await this.safelyCopyDirectoryFiles(themeCssDir, publicCssDir, 'CSS');
-      }
-      
-      // 安全复制JS文件（只复制不存在的文件）
-      if (fs.existsSync(themeJsDir)) {
-        copiedCount += await this.safelyCopyDirectoryFiles(themeJsDir, publicJsDir, 'JS');
-      }
+      const copiedCount = this.copyManifestFiles(false);
       
       if (copiedCount > 0) {
         console.log(chalk.green(`[Static Mode] ✓ 安全复制了 ${copiedCount} 个缺失的资源文件到public目录`));
@@ -364,52 +371,7 @@ class StaticModeHandler {
   }
 
   /**
-   * 安全地复制文件（只复制不存在的文件）
-   */
-  async safelyCopyDirectoryFiles(srcDir, destDir, fileType) {
-    const fs = require('fs');
-    const path = require('path');
-    const Utils = require('./utils');
-    
-    let copiedCount = 0;
-    
-    // 确保目标目录存在
-    Utils.ensureDirectoryExists(destDir);
-    
-    try {
-      const items = fs.readdirSync(srcDir, { withFileTypes: true });
-      
-      for (const item of items) {
-        const srcPath = path.join(srcDir, item.name);
-        const destPath = path.join(destDir, item.name);
-        
-        if (item.isDirectory()) {
-          // 递归处理子目录
-          copiedCount += await this.safelyCopyDirectoryFiles(srcPath, destPath, fileType);
-        } else if (item.isFile()) {
-          try {
-            // 只在目标文件不存在时才复制
-            if (!fs.existsSync(destPath)) {
-              const content = fs.readFileSync(srcPath);
-              fs.writeFileSync(destPath, content);
-              
-              console.log(chalk.green(`[Static Mode] ✓ 安全复制${fileType}文件: ${item.name}`));
-              copiedCount++;
-            }
-          } catch (error) {
-            console.error(chalk.red(`[Static Mode] ❌ 安全复制${fileType}文件失败 ${item.name}:`), error.message);
-          }
-        }
-      }
-    } catch (error) {
-      console.error(chalk.red(`[Static Mode] ❌ 安全读取${fileType}目录失败 ${srcDir}:`), error.message);
-    }
-    
-    return copiedCount;
-  }
-
-  /**
-   * 将主题目录下的所有资源文件复制到public目录
+   * 将构建清单中的资源文件复制到public目录
    */
   async copyCompiledAssetsToPublic() {
     // 防止在Deploy模式下重复执行
@@ -418,47 +380,19 @@ class StaticModeHandler {
       return;
     }
     
-    const fs = require('fs');
-    const path = require('path');
-    const Utils = require('./utils');
-    
     try {
       console.log(chalk.blue(`[Static Mode] 复制主题资源文件到public目录...`));
       
-      const publicCssDir = path.join(this.hexo.public_dir, 'css');
-      const publicJsDir = path.join(this.hexo.public_dir, 'js');
-      const themeCssDir = path.join(this.hexo.theme_dir, 'source/css');
-      const themeJsDir = path.join(this.hexo.theme_dir, 'source/js');
-      
-      // 在Deploy模式下，不清空目录，改为安全复制
+      // 在Deploy模式下，不删除任何文件，改为安全复制
       if (this.isDeployMode()) {
-        console.log(chalk.blue('[Static Mode] Deploy模式：使用安全复制模式，不清空现有文件'));
+        console.log(chalk.blue('[Static Mode] Deploy模式：使用安全复制模式，不删除现有文件'));
         return await this.safeEnsureAssetsInPublic();
       }
       
-      // 只在非Deploy模式下清空目标目录
-      await this.clearPublicDirectory(publicCssDir, 'CSS');
-      await this.clearPublicDirectory(publicJsDir, 'JS');
-      
-      // 确保public目录存在
-      Utils.ensureDirectoryExists(publicCssDir);
-      Utils.ensureDirectoryExists(publicJsDir);
+      // 删除被新构建替换的旧文件，避免遗留在public目录
+      this.removeRetiredFilesFromPublic();
       
-      let copiedCount = 0;
-      
-      // 复制所有CSS文件（包括子目录）
-      if (fs.existsSync(themeCssDir)) {
-        copiedCount += await this.copyDirectoryFiles(themeCssDir, publicCssDir, 'CSS');
-      } else {
-        console.warn(chalk.yellow(`[Static Mode] ⚠ 主题CSS目录不存在: ${themeCssDir}`));
-      }
-      
-      // 复制所有JS文件
-      if (fs.existsSync(themeJsDir)) {
-        copiedCount += await this.copyDirectoryFiles(themeJsDir, publicJsDir, 'JS');
-      } else {
-        console.warn(chalk.yellow(`[Static Mode] ⚠ 主题JS目录不存在: ${themeJsDir}`));
-      }
+      const copiedCount = this.copyManifestFiles(true);
       
       if (copiedCount > 0) {
         console.log(chalk.green(`[Static Mode] ✓ 成功复制 ${copiedCount} 个资源文件到public目录`));
@@ -475,121 +409,83 @@ class StaticModeHandler {
   }
 
   /**
-   * 递归复制目录中的所有文件
+   * 复制构建清单中记录的所有文件
+   * @param {boolean} overwrite - 是否覆盖public目录中已存在的文件
+   * @returns {number} 复制的文件数量
    */
-  async copyDirectoryFiles(srcDir, destDir, fileType) {
+  copyManifestFiles(overwrite) {
     const fs = require('fs');
     const path = require('path');
     const Utils = require('./utils');
     
+    const manifest = this.themeBuilder.assetManifest;
+    const precompressor = new Precompressor(this.hexo);
     let copiedCount = 0;
     
-    // 确保目标目录存在
-    Utils.ensureDirectoryExists(destDir);
-    
-    try {
-      const items = fs.readdirSync(srcDir, { withFileTypes: true });
+    // hidden 模式的 source map 只保留在主题目录中，不发布
+    manifest.getOutputFiles({}, { hidden: false }).forEach(file => {
+      const srcPath = manifest.getAbsolutePath(file);
+      const destPath = path.join(this.hexo.public_dir, ...file.split('/'));
       
-      for (const item of items) {
-        const srcPath = path.join(srcDir, item.name);
-        const destPath = path.join(destDir, item.name);
-        
-        if (item.isDirectory()) {
-          // 递归复制子目录
-          copiedCount += await this.copyDirectoryFiles(srcPath, destPath, fileType);
-        } else if (item.isFile()) {
-          try {
-            // 直接复制文件（因为目录已经清空）
-            const content = fs.readFileSync(srcPath);
-            fs.writeFileSync(destPath, content);
-            
-            console.log(chalk.green(`[Static Mode] ✓ 已复制${fileType}文件: ${item.name}`));
-            copiedCount++;
-          } catch (error) {
-            console.error(chalk.red(`[Static Mode] ❌ 复制${fileType}文件失败 ${item.name}:`), error.message);
-          }
-        }
-      }
-    } catch (error) {
-      console.error(chalk.red(`[Static Mode] ❌ 读取${fileType}目录失败 ${srcDir}:`), error.message);
-    }
-    
-    return copiedCount;
-  }
-
-  /**
-   * 清空public目录，避免遗留旧文件
-   */
-  async clearPublicDirectory(dirPath, fileType) {
-    const fs = require('fs');
-    const path = require('path');
-    
-    try {
-      if (!fs.existsSync(dirPath)) {
-        console.log(chalk.gray(`[Static Mode] ${fileType}目录不存在，跳过清空: ${path.basename(dirPath)}`));
+      if (!fs.existsSync(srcPath)) {
+        console.warn(chalk.yellow(`[Static Mode] ⚠ 构建清单中的文件不存在: ${file}`));
         return;
       }
       
-      console.log(chalk.blue(`[Static Mode] 清空${fileType}目录: ${path.basename(dirPath)}`));
-      
-      const items = fs.readdirSync(dirPath, { withFileTypes: true });
-      let deletedCount = 0;
-      
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item.name);
-        
+      if (overwrite || !fs.existsSync(destPath)) {
         try {
-          if (item.isDirectory()) {
-            // 递归删除子目录
-            await this.removeDirectory(itemPath);
-            console.log(chalk.yellow(`[Static Mode] ✓ 已删除${fileType}子目录: ${item.name}`));
-          } else {
-            // 删除文件
-            fs.unlinkSync(itemPath);
-            console.log(chalk.gray(`[Static Mode] ✓ 已删除${fileType}文件: ${item.name}`));
-          }
-          deletedCount++;
+          Utils.ensureDirectoryExists(path.dirname(destPath));
+          fs.copyFileSync(srcPath, destPath);
+          console.log(chalk.green(`[Static Mode] ✓ 已复制资源文件: ${file}`));
+          copiedCount++;
         } catch (error) {
-          console.error(chalk.red(`[Static Mode] ❌ 删除${fileType}项目失败 ${item.name}:`), error.message);
+          console.error(chalk.red(`[Static Mode] ❌ 复制资源文件失败 ${file}:`), error.message);
+          return;
         }
       }
       
-      if (deletedCount > 0) {
-        console.log(chalk.green(`[Static Mode] ✓ 成功清空${fileType}目录，删除了 ${deletedCount} 个项目`));
-      } else {
-        console.log(chalk.gray(`[Static Mode] ✓ ${fileType}目录已为空`));
+      // 按 theme_builder.precompress 写入 .gz 和 .br 副本
+      if (precompressor.isEnabled()) {
+        try {
+          precompressor.compressFile(destPath, fs.statSync(srcPath).mtimeMs);
+        } catch (error) {
+          console.error(chalk.red(`[Static Mode] ❌ 预压缩资源文件失败 ${file}:`), error.message);
+        }
       }
-      
-    } catch (error) {
-      console.error(chalk.red(`[Static Mode] ❌ 清空${fileType}目录失败 ${dirPath}:`), error.message);
-      // 不抛出错误，继续执行复制操作
+    });
+    
+    if (precompressor.isEnabled()) {
+      precompressor.report();
     }
+    
+    return copiedCount;
   }
 
   /**
-   * 递归删除目录及其内容
+   * 从public目录删除构建清单中已被替换的文件
    */
-  async removeDirectory(dirPath) {
+  removeRetiredFilesFromPublic() {
     const fs = require('fs');
     const path = require('path');
     
-    if (!fs.existsSync(dirPath)) {
-      return;
-    }
-    
-    const items = fs.readdirSync(dirPath, { withFileTypes: true });
-    
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item.name);
-      
-      if (item.isDirectory()) {
-        await this.removeDirectory(itemPath);
-      } else {
-        fs.unlinkSync(itemPath);
-      }
-    }
+    const manifest = this.themeBuilder.assetManifest;
+    const currentFiles = new Set(manifest.getOutputFiles());
+    const precompressor = new Precompressor(this.hexo);
     
-    fs.rmdirSync(dirPath);
+    manifest.takeRetiredFiles()
+      .filter(file => !currentFiles.has(file))
+      .forEach(file => {
+        const filePath = path.join(this.hexo.public_dir, ...file.split('/'));
+        if (!fs.existsSync(filePath)) return;
+        
+        try {
+          precompressor.removeVariants(filePath);
+          fs.unlinkSync(filePath);
+          console.log(chalk.gray(`[Static Mode] ✓ 已删除旧资源文件: ${file}`));
+        } catch (error) {
+          console.error(chalk.red(`[Static Mode] ❌ 删除旧资源文件失败 ${file}:`), error.message);
+        }
+      });
   }
 }
 
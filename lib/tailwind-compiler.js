@@ -6,6 +6,8 @@ const postcss = require('postcss');
 const tailwindcss = require('@tailwindcss/postcss');
 const cssnano = require('cssnano');
 const Utils = require('./utils');
+const AssetManifest = require('./asset-manifest');
+const SourceMaps = require('./source-maps');
 const chalk = require('chalk');
 const cliProgress = require('cli-progress');
 const chokidar = require('chokidar');
@@ -13,9 +15,13 @@ const yaml = require('js-yaml');
 const glob = require('glob'); // 添加glob模块用于文件扫描
 
 class TailwindCompiler {
-  constructor(hexo) {
+  // options.manifest: 共享的构建清单实例，未提供时从主题目录读取
+  constructor(hexo, options = {}) {
     this.hexo = hexo;
+    this.manifest = options.manifest || AssetManifest.fromHexo(hexo);
     this.isProcessing = false;
+    // 最近一次编译失败的错误，编译成功后清空
+    this.lastError = null;
     this.currentCssFiles = new Set();
     this.componentStyles = new Map(); // 缓存组件样式文件
     
@@ -48,34 +54,31 @@ class TailwindCompiler {
     }
   }
 
-  // 清理旧的CSS文件
-  cleanOldCssFiles(outputDir, skipClean = false) {
+  // 清理被新构建替换的旧CSS文件（由构建清单给出，路径相对主题 source 目录）
+  cleanOldCssFiles(retiredFiles, skipClean = false) {
     if (skipClean) {
       Utils.logDebug(this.hexo, '跳过CSS文件清理（由外部控制）', 'TailwindCSS');
       return;
     }
     
-    if (!fs.existsSync(outputDir)) return;
-    
-    const files = fs.readdirSync(outputDir);
     let cleanedCount = 0;
     
-    files.forEach(file => {
-      if (file.match(/^components\.styles\.[a-f0-9]{8}\.css$/)) {
-        const filePath = path.join(outputDir, file);
-        const relativeFilePath = path.relative(this.hexo.source_dir, filePath);
+    retiredFiles.forEach(file => {
+      const filePath = this.manifest.getAbsolutePath(file);
+      if (!fs.existsSync(filePath)) return;
+      
+      const relativeFilePath = path.relative(this.hexo.source_dir, filePath);
+      
+      try {
+        // 1. 从 Hexo 数据库中移除文件记录
+        this.removeFileFromHexoDatabase(relativeFilePath, filePath);
         
-        try {
-          // 1. 从 Hexo 数据库中移除文件记录
-          this.removeFileFromHexoDatabase(relativeFilePath, filePath);
-          
-          // 2. 删除物理文件
-          fs.unlinkSync(filePath);
-          cleanedCount++;
-          Utils.logDebug(this.hexo, `清理旧CSS文件: ${file}`, 'TailwindCSS');
-        } catch (error) {
-          Utils.logError(this.hexo, `清理文件失败 ${file}:`, error, 'TailwindCSS');
-        }
+        // 2. 删除物理文件
+        fs.unlinkSync(filePath);
+        cleanedCount++;
+        Utils.logDebug(this.hexo, `清理旧CSS文件: ${file}`, 'TailwindCSS');
+      } catch (error) {
+        Utils.logError(this.hexo, `清理文件失败 ${file}:`, error, 'TailwindCSS');
       }
     });
 
@@ -84,6 +87,19 @@ class TailwindCompiler {
     }
   }
 
+  /**
+   * 整理 TailwindCSS 输出的 source map：sources 改为相对主题目录的路径，
+   * 并去掉强制重新编译时加入的随机标记，保证重复构建得到相同的 map
+   */
+  normalizeSourcemap(map, outputDir) {
+    map.sources = map.sources.map(source => SourceMaps.toThemePath(source, outputDir, this.hexo.theme_dir));
+    if (map.sourcesContent) {
+      map.sourcesContent = map.sourcesContent.map(content =>
+        content && content.replace(/\/\* Force recompile: [^*]*\*\//, '/* Force recompile */'));
+    }
+    return map;
+  }
+
   // 全面清理和同步 Hexo 文件系统状态
   syncHexoFileSystem() {
     try {
@@ -419,8 +435,8 @@ class TailwindCompiler {
     return null;
   }
 
-  // 扫描并加载组件样式文件
-  scanComponentStyles() {
+  // 扫描并加载组件样式文件，options.silent 为 true 时不输出加载结果（供组件清单等命令使用）
+  scanComponentStyles(options = {}) {
     const componentDir = path.join(this.hexo.theme_dir, 'layout', 'components');
     const pattern = path.join(componentDir, '**', '*.css');
     
@@ -433,10 +449,10 @@ class TailwindCompiler {
     }
     
     try {
-      // 使用glob扫描所有组件CSS文件
+      // 使用glob扫描所有组件CSS文件（排序保证合并顺序稳定，输出哈希可复现）
       const cssFiles = glob.sync(pattern, { 
         windowsPathsNoEscape: true // Windows路径兼容性
-      });
+      }).sort();
       
       if (cssFiles.length === 0) {
         Utils.logDebug(this.hexo, '未找到组件样式文件', 'TailwindCSS');
@@ -476,7 +492,7 @@ class TailwindCompiler {
         }
       });
       
-      if (loadedComponents.length > 0) {
+      if (loadedComponents.length > 0 && !options.silent) {
         Utils.logSuccess(this.hexo, `重新扫描并加载了 ${loadedComponents.length} 个组件样式文件`, 'TailwindCSS');
         Utils.logDebug(this.hexo, `加载的组件: ${loadedComponents.join(', ')}`, 'TailwindCSS');
       }
@@ -563,7 +579,10 @@ class TailwindCompiler {
         combinedCSS += '\n/* =============================== */';
         combinedCSS += componentStyles;
       }
-      
+
+      // source map 中包含源码内容，不能作为 TailwindCSS 扫描类名的来源，否则每次构建的结果会随上一次的 map 变化
+      combinedCSS += `\n\n@source not "./source/**/*.map";\n`;
+
       return combinedCSS;
       
     } catch (error) {
@@ -691,6 +710,7 @@ class TailwindCompiler {
     
     try {
       this.isProcessing = true;
+      this.lastError = null;
       const compileMode = forceRecompile ? '强制重新编译' : '增量编译';
       console.log(chalk.cyan(`\n🎨 开始编译和压缩 TailwindCSS 4.0 样式... (${compileMode})\n`));
 
@@ -727,9 +747,6 @@ class TailwindCompiler {
         Utils.logDebug(this.hexo, `编译前存在的CSS文件: ${Array.from(existingCssFiles).map(f => path.basename(f)).join(', ')}`, 'TailwindCSS');
       }
 
-      // 清理旧的CSS文件
-      this.cleanOldCssFiles(outputDir, skipClean);
-
       // 读取主CSS文件（包含组件样式）
       Utils.logDebug(this.hexo, '开始生成主CSS文件（包含组件样式）', 'TailwindCSS');
       const mainCSS = this.generateMainCSS();
@@ -810,9 +827,12 @@ class TailwindCompiler {
         Utils.logDebug(this.hexo, `🔄 使用唯一PostCSS源路径避免缓存: ${fromPath}`, 'TailwindCSS');
       }
       
+      // source map 贯穿 TailwindCSS 和 cssnano 两个插件，不写注释，输出文件名确定后再按模式附加
+      const sourcemapMode = SourceMaps.getMode(this.hexo.config);
       const result = await processor.process(processCSS, {
         from: fromPath,
-        to: undefined // 让 PostCSS 自动处理
+        to: sourcemapMode ? path.join(outputDir, 'components.styles.css') : undefined, // 让 PostCSS 自动处理
+        map: sourcemapMode ? { inline: false, annotation: false, sourcesContent: true, prev: false } : false
       });
 
       // 更新进度条
@@ -836,11 +856,31 @@ class TailwindCompiler {
       
       // 写入编译后的CSS
       const outputPath = path.join(outputDir, outputFilename);
-      Utils.writeFileContent(outputPath, result.css);
+      let outputCSS = result.css;
+      let sourcemap = null;
+      if (sourcemapMode && result.map) {
+        ({ code: outputCSS, sourcemap } = SourceMaps.attach({
+          code: result.css,
+          map: this.normalizeSourcemap(result.map.toJSON(), outputDir),
+          file: `css/${outputFilename}`,
+          mode: sourcemapMode,
+          sourceDir: path.dirname(outputDir)
+        }));
+      }
+      Utils.writeFileContent(outputPath, outputCSS);
 
       // 确保新文件被正确注册到 Hexo 系统
       this.registerFileWithHexo(outputPath);
 
+      // 更新构建清单，并清理被替换的旧CSS文件
+      const retiredFiles = this.manifest.setPipeline('tailwind', [{
+        name: 'components.styles.css',
+        file: `css/${outputFilename}`,
+        type: 'css',
+        sourcemap
+      }]);
+      this.cleanOldCssFiles(retiredFiles, skipClean);
+
       // 更新当前CSS文件集合（不包含调试文件）
       this.currentCssFiles.clear();
       this.currentCssFiles.add(outputPath);
@@ -878,6 +918,7 @@ class TailwindCompiler {
       return outputPath;
     } catch (error) {
       console.error(chalk.red('\n❌ TailwindCSS 4.0 编译错误:'), error);
+      this.lastError = error;
       
       // 即使编译失败也要清理调试文件
       if (debugPath && !keepDebugFile) {
@@ -0,0 +1,256 @@
+// Hexo Goose Builder 组件自动挂载
+// 由 load_theme_assets 以模块脚本加载，扫描 data-goose-component 元素，
+// 按同目录下 components.manifest.json 的记录懒加载组件入口并调用其导出的 mount(el, props)
+//
+//   <div data-goose-component="gallery"
+//        data-goose-props='{"images": 12}'
+//        data-goose-load="visible"></div>
+//
+// data-goose-load: visible（默认，进入视口附近时）、idle（浏览器空闲时）、interaction（首次交互时）、eager（立即）
+//
+// 开启 integrity 时构建把组件清单内联到下面的 INLINE_MANIFEST，加载器标签的 integrity 同时覆盖清单；
+// 组件入口、依赖和样式按清单中的 integrity 以 modulepreload 和样式表加载，import() 复用已校验的模块
+
+const INLINE_MANIFEST = null;
+
+const MANIFEST_URL = new URL('components.manifest.json', import.meta.url);
+const SELECTOR = '[data-goose-component]';
+const MOUNTED_ATTRIBUTE = 'data-goose-mounted';
+const INTERACTION_EVENTS = ['pointerover', 'focusin', 'touchstart'];
+
+// 已安排加载的元素，避免重复观察
+const scheduled = new WeakSet();
+// 已挂载元素的卸载函数
+const cleanups = new WeakMap();
+const preloaded = new Set();
+// 样式表地址 → 加载完成的 Promise
+const stylesheets = new Map();
+let manifestPromise = null;
+let inlineManifest = INLINE_MANIFEST;
+let visibilityObserver = null;
+
+function loadManifest() {
+  if (!manifestPromise && inlineManifest) {
+    manifestPromise = Promise.resolve(inlineManifest);
+  }
+  if (!manifestPromise) {
+    // 清单文件名固定，每次加载都向服务器确认是否有更新
+    manifestPromise = fetch(MANIFEST_URL, { cache: 'no-cache' }).then(response => {
+      if (!response.ok) {
+        throw new Error(`无法读取 ${MANIFEST_URL.pathname}: ${response.status}`);
+      }
+      return response.json();
+    });
+    manifestPromise.catch(() => {
+      manifestPromise = null;
+    });
+  }
+  return manifestPromise;
+}
+
+function resolveUrl(file) {
+  return new URL(file, MANIFEST_URL).href;
+}
+
+// 清单记录了文件的 integrity 时设置到元素上，浏览器校验不通过则不执行
+function setIntegrity(link, manifest, file) {
+  const integrity = manifest.integrity && manifest.integrity[file];
+  if (!integrity) return;
+  link.integrity = integrity;
+  link.crossOrigin = manifest.crossorigin || 'anonymous';
+}
+
+function preload(manifest, file) {
+  const url = resolveUrl(file);
+  if (preloaded.has(url)) return;
+  preloaded.add(url);
+  const link = document.createElement('link');
+  link.rel = 'modulepreload';
+  setIntegrity(link, manifest, file);
+  link.href = url;
+  document.head.appendChild(link);
+}
+
+// 加载组件样式，页面已输出的样式表不重复加载；加载失败不阻止挂载
+function loadStylesheet(manifest, file) {
+  const url = resolveUrl(file);
+  if (!stylesheets.has(url)) {
+    const exists = Array.prototype.some.call(
+      document.querySelectorAll('link[rel="stylesheet"]'),
+      link => link.href === url
+    );
+    stylesheets.set(url, exists ? Promise.resolve() : new Promise(resolve => {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      setIntegrity(link, manifest, file);
+      link.href = url;
+      link.addEventListener('load', resolve);
+      link.addEventListener('error', () => {
+        console.error(`[Goose] 组件样式加载失败: ${url}`);
+        resolve();
+      });
+      document.head.appendChild(link);
+    }));
+  }
+  return stylesheets.get(url);
+}
+
+function readProps(el, name) {
+  const raw = el.getAttribute('data-goose-props');
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`[Goose] 组件 ${name} 的 data-goose-props 不是合法的 JSON:`, error);
+    return {};
+  }
+}
+
+async function mount(el) {
+  if (el.hasAttribute(MOUNTED_ATTRIBUTE)) return;
+  el.setAttribute(MOUNTED_ATTRIBUTE, 'loading');
+
+  const name = el.getAttribute('data-goose-component');
+  try {
+    const manifest = await loadManifest();
+    const component = manifest.components[name];
+    if (!component) {
+      throw new Error(`组件 ${name} 不存在或没有导出 mount`);
+    }
+
+    // 入口的静态依赖与入口并行下载，组件样式加载完成后再挂载，避免无样式内容闪烁
+    component.imports.forEach(file => preload(manifest, file));
+    const styles = Promise.all((component.css || []).map(file => loadStylesheet(manifest, file)));
+    // import() 不能指定 integrity，先以带 integrity 的 modulepreload 载入入口，import() 使用模块表中已校验的模块
+    if (manifest.integrity) preload(manifest, component.entry);
+    const module = await import(resolveUrl(component.entry));
+    await styles;
+    const cleanup = await module.mount(el, readProps(el, name));
+
+    // 加载期间元素已被移除时立即卸载
+    if (!el.isConnected) {
+      if (typeof cleanup === 'function') cleanup();
+      return;
+    }
+    if (typeof cleanup === 'function') {
+      cleanups.set(el, cleanup);
+    }
+    el.setAttribute(MOUNTED_ATTRIBUTE, 'true');
+    el.dispatchEvent(new CustomEvent('goose:mounted', { bubbles: true, detail: { component: name } }));
+  } catch (error) {
+    el.setAttribute(MOUNTED_ATTRIBUTE, 'error');
+    console.error(`[Goose] 组件 ${name} 挂载失败:`, error);
+  }
+}
+
+function unmount(el) {
+  const cleanup = cleanups.get(el);
+  cleanups.delete(el);
+  scheduled.delete(el);
+  el.removeAttribute(MOUNTED_ATTRIBUTE);
+  if (cleanup) {
+    try {
+      cleanup();
+    } catch (error) {
+      console.error(`[Goose] 组件 ${el.getAttribute('data-goose-component')} 卸载失败:`, error);
+    }
+  }
+}
+
+// 重新读取组件清单，之后的挂载使用新的入口
+// 内联的清单同时被丢弃，改为从服务器读取（hexo server 热更新时清单会变化）
+function refresh() {
+  manifestPromise = null;
+  inlineManifest = null;
+}
+
+// 按最新清单重新挂载组件的全部实例（hexo server 热更新时使用），加载中的实例不受影响
+function remount(name) {
+  refresh();
+  const instances = Array.prototype.filter.call(document.querySelectorAll(SELECTOR), el => {
+    const state = el.getAttribute(MOUNTED_ATTRIBUTE);
+    return el.getAttribute('data-goose-component') === name && (state === 'true' || state === 'error');
+  });
+  return Promise.all(instances.map(el => {
+    unmount(el);
+    return mount(el);
+  }));
+}
+
+function getVisibilityObserver() {
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        visibilityObserver.unobserve(entry.target);
+        mount(entry.target);
+      });
+    }, { rootMargin: '200px' });
+  }
+  return visibilityObserver;
+}
+
+const strategies = {
+  eager(el) {
+    mount(el);
+  },
+  visible(el) {
+    if (!('IntersectionObserver' in window)) {
+      mount(el);
+      return;
+    }
+    getVisibilityObserver().observe(el);
+  },
+  idle(el) {
+    const schedule = window.requestIdleCallback || (callback => setTimeout(callback, 200));
+    schedule(() => mount(el));
+  },
+  interaction(el) {
+    const handler = () => {
+      INTERACTION_EVENTS.forEach(type => el.removeEventListener(type, handler));
+      mount(el);
+    };
+    INTERACTION_EVENTS.forEach(type => el.addEventListener(type, handler, { passive: true }));
+  }
+};
+
+function schedule(el) {
+  if (scheduled.has(el) || el.hasAttribute(MOUNTED_ATTRIBUTE)) return;
+  scheduled.add(el);
+
+  const strategy = el.getAttribute('data-goose-load') || 'visible';
+  if (!strategies[strategy]) {
+    console.warn(`[Goose] 未知的 data-goose-load: ${strategy}，按 visible 处理`);
+  }
+  (strategies[strategy] || strategies.visible)(el);
+}
+
+// 扫描元素及其后代中的组件
+function scan(root = document) {
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(SELECTOR)) {
+    schedule(root);
+  }
+  root.querySelectorAll(SELECTOR).forEach(schedule);
+}
+
+function forEachComponent(node, callback) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+  if (node.matches(SELECTOR)) callback(node);
+  node.querySelectorAll(SELECTOR).forEach(callback);
+}
+
+// 动态插入的组件自动挂载，被移除的组件自动卸载（例如 PJAX 页面切换）
+new MutationObserver(records => {
+  records.forEach(record => {
+    record.removedNodes.forEach(node => forEachComponent(node, el => {
+      if (visibilityObserver) visibilityObserver.unobserve(el);
+      if (!el.isConnected) unmount(el);
+    }));
+    record.addedNodes.forEach(node => forEachComponent(node, schedule));
+  });
+}).observe(document.documentElement, { childList: true, subtree: true });
+
+// 供主题脚本手动控制
+window.GooseComponents = { scan, mount, unmount, refresh, remount };
+
+scan();
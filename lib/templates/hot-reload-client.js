@@ -0,0 +1,527 @@
+// Hexo Goose Builder 热重载客户端
+// 由 Socket.IO 服务以外部脚本提供，配置通过 script 标签的 data 属性传入，页面无需内联脚本
+(function() {
+  'use strict';
+
+  const currentScript = document.currentScript;
+  const dataset = (currentScript && currentScript.dataset) || {};
+
+  // 热重载客户端配置
+  const config = {
+    socketPort: Number(dataset.port),
+    reconnectDelay: 2000,
+    maxReconnectAttempts: 10,
+    debug: dataset.debug === 'true'
+  };
+
+  let socket = null;
+  let reconnectAttempts = 0;
+  let isReloading = false;
+
+  // 组件热替换记录（组件名 → 回调和跨版本保留的数据）
+  const hotRecords = new Map();
+
+  function getHotRecord(component) {
+    if (!hotRecords.has(component)) {
+      const record = {
+        accepted: false,
+        declined: false,
+        acceptCallbacks: [],
+        disposeCallbacks: [],
+        data: {}
+      };
+
+      // 组件通过 import.meta.hot 访问的接口
+      record.context = {
+        get data() {
+          return record.data;
+        },
+        // 接受自身更新，回调参数为新模块
+        accept(callback) {
+          record.accepted = true;
+          if (typeof callback === 'function') {
+            record.acceptCallbacks.push(callback);
+          }
+        },
+        // 旧模块被替换前调用，用于清理事件和定时器，并把状态写入 data
+        dispose(callback) {
+          if (typeof callback === 'function') {
+            record.disposeCallbacks.push(callback);
+          }
+        },
+        // 拒绝热替换，更新时整页重载
+        decline() {
+          record.declined = true;
+        },
+        // 放弃本次热替换，整页重载
+        invalidate(message) {
+          reloadPage({ message: message || '组件请求重新加载页面' });
+        }
+      };
+
+      hotRecords.set(component, record);
+    }
+    return hotRecords.get(component);
+  }
+
+  // 构建时 import.meta.hot 会被替换为此函数的调用
+  window.__GOOSE_HMR__ = {
+    createHotContext: function(component) {
+      return getHotRecord(component).context;
+    }
+  };
+
+  // 日志函数
+  function log(message, type = 'info') {
+    if (config.debug) {
+      const prefix = '[Theme Builder Hot Reload]';
+      switch (type) {
+        case 'error':
+          console.error(prefix, message);
+          break;
+        case 'warn':
+          console.warn(prefix, message);
+          break;
+        case 'success':
+          console.log('%c' + prefix + ' ' + message, 'color: #4CAF50');
+          break;
+        default:
+          console.log('%c' + prefix + ' ' + message, 'color: #2196F3');
+      }
+    }
+  }
+
+  // 显示重载通知
+  // 样式通过 style 属性逐项设置，不依赖内联 <style>，严格的 style-src 策略下同样可用
+  function showReloadNotification(message) {
+    const notification = document.createElement('div');
+    notification.textContent = message || '页面正在重新加载...';
+    Object.assign(notification.style, {
+      position: 'fixed',
+      top: '0px',
+      right: '0px',
+      background: '#4CAF50',
+      color: 'white',
+      padding: '5px 15px',
+      borderRadius: '2px',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+      zIndex: '10000',
+      fontFamily: '"Lato","Arial","Tahoma","Verdana",ui-sans-serif,system-ui,sans-serif',
+      fontSize: '.8rem',
+      transition: 'all 0.3s ease'
+    });
+
+    document.body.appendChild(notification);
+
+    // 3秒后自动移除通知
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.style.opacity = '0';
+        setTimeout(() => {
+          if (notification.parentNode) {
+            notification.parentNode.removeChild(notification);
+          }
+        }, 300);
+      }
+    }, 3000);
+  }
+
+  // 构建错误浮层，同一时间只显示一个
+  let errorOverlay = null;
+
+  function hideBuildError() {
+    if (errorOverlay && errorOverlay.parentNode) {
+      errorOverlay.parentNode.removeChild(errorOverlay);
+    }
+    errorOverlay = null;
+    document.removeEventListener('keydown', onOverlayKeydown);
+  }
+
+  function onOverlayKeydown(event) {
+    if (event.key === 'Escape') {
+      hideBuildError();
+    }
+  }
+
+  // 显示构建错误，内容一律以文本写入，样式逐项设置以兼容严格的 CSP
+  function showBuildError(error) {
+    hideBuildError();
+
+    const overlay = document.createElement('div');
+    Object.assign(overlay.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      right: '0',
+      maxHeight: '80vh',
+      overflow: 'auto',
+      background: 'rgba(24, 24, 27, 0.96)',
+      color: '#f4f4f5',
+      padding: '20px 24px',
+      zIndex: '2147483647',
+      fontFamily: 'ui-monospace,SFMono-Regular,Menlo,Consolas,monospace',
+      fontSize: '13px',
+      lineHeight: '1.5',
+      borderTop: '4px solid #ef4444',
+      boxShadow: '0 4px 24px rgba(0,0,0,0.4)'
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = '×';
+    closeButton.title = '关闭 (Esc)';
+    Object.assign(closeButton.style, {
+      position: 'absolute',
+      top: '8px',
+      right: '12px',
+      background: 'transparent',
+      border: 'none',
+      color: '#a1a1aa',
+      fontSize: '22px',
+      cursor: 'pointer'
+    });
+    closeButton.addEventListener('click', hideBuildError);
+
+    const title = document.createElement('div');
+    title.textContent = '构建失败' + (error.pipeline ? ' [' + error.pipeline + ']' : '');
+    Object.assign(title.style, { color: '#ef4444', fontWeight: 'bold', marginBottom: '8px' });
+
+    const message = document.createElement('div');
+    message.textContent = error.message || '未知错误';
+    Object.assign(message.style, { whiteSpace: 'pre-wrap', marginBottom: '8px' });
+
+    overlay.appendChild(closeButton);
+    overlay.appendChild(title);
+    overlay.appendChild(message);
+
+    if (error.file) {
+      const location = document.createElement('div');
+      location.textContent = error.file +
+        (error.line ? ':' + error.line + (error.column !== null && error.column !== undefined ? ':' + error.column : '') : '');
+      Object.assign(location.style, { color: '#60a5fa', marginBottom: '8px' });
+      overlay.appendChild(location);
+    }
+
+    if (error.frame) {
+      const frame = document.createElement('pre');
+      frame.textContent = error.frame;
+      Object.assign(frame.style, {
+        margin: '0',
+        padding: '12px',
+        background: 'rgba(0,0,0,0.35)',
+        borderRadius: '4px',
+        overflowX: 'auto'
+      });
+      overlay.appendChild(frame);
+    }
+
+    const hint = document.createElement('div');
+    hint.textContent = '修复后将自动关闭，按 Esc 或点击 × 暂时隐藏';
+    Object.assign(hint.style, { color: '#71717a', marginTop: '10px', fontSize: '12px' });
+    overlay.appendChild(hint);
+
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', onOverlayKeydown);
+    errorOverlay = overlay;
+  }
+
+  // 按路径查找页面中的样式表，忽略查询参数和域名
+  function findStylesheetLinks(url) {
+    return Array.prototype.filter.call(
+      document.querySelectorAll('link[rel="stylesheet"]'),
+      function(link) {
+        return new URL(link.href, window.location.href).pathname === url;
+      }
+    );
+  }
+
+  // 原地替换样式表：新样式加载完成后再移除旧的 <link>，避免页面闪烁
+  function swapStylesheet(link, stylesheet) {
+    const newLink = link.cloneNode(false);
+    newLink.href = stylesheet.url;
+    if (stylesheet.integrity) {
+      newLink.integrity = stylesheet.integrity;
+    } else {
+      newLink.removeAttribute('integrity');
+    }
+
+    function removeOldLink() {
+      if (link.parentNode) {
+        link.parentNode.removeChild(link);
+      }
+    }
+
+    newLink.addEventListener('load', removeOldLink);
+    newLink.addEventListener('error', function() {
+      log('样式加载失败: ' + stylesheet.url, 'error');
+      removeOldLink();
+    });
+    link.parentNode.insertBefore(newLink, link.nextSibling);
+  }
+
+  // 页面是否渲染了该组件：执行过 import.meta.hot 或存在 data-goose-component 元素
+  function isComponentOnPage(component) {
+    return hotRecords.has(component) || Array.prototype.some.call(
+      document.querySelectorAll('[data-goose-component]'),
+      function(el) {
+        return el.getAttribute('data-goose-component') === component;
+      }
+    );
+  }
+
+  // 页面没有加载的组件样式无需处理；页面使用的组件新增了样式时无法原地插入，需要重载
+  function isStylesheetSkipped(stylesheet) {
+    const components = stylesheet.components || [];
+    if (components.length === 0) {
+      return false;
+    }
+    return Boolean(stylesheet.previousUrl) || !components.some(isComponentOnPage);
+  }
+
+  // 处理样式更新，找不到对应的 <link> 时退回整页重载
+  function applyCssUpdate(data) {
+    const stylesheets = data.stylesheets || [];
+    let swapped = 0;
+    let unmatched = false;
+
+    stylesheets.forEach(function(stylesheet) {
+      const links = stylesheet.previousUrl ? findStylesheetLinks(stylesheet.previousUrl) : [];
+      if (links.length === 0) {
+        if (!isStylesheetSkipped(stylesheet)) {
+          unmatched = true;
+        }
+        return;
+      }
+      links.forEach(function(link) {
+        swapStylesheet(link, stylesheet);
+        swapped++;
+      });
+    });
+
+    if (unmatched) {
+      log('部分样式表无法原地替换，重新加载页面', 'warn');
+      reloadPage(data);
+      return;
+    }
+
+    log('已替换 ' + swapped + ' 个样式表' + (data.changedFile ? ': ' + data.changedFile : ''), 'success');
+  }
+
+  // 自动挂载加载器（theme_builder.javascript.auto_mount），未启用时为 null
+  function getComponentLoader() {
+    const loader = window.GooseComponents;
+    return loader && typeof loader.remount === 'function' ? loader : null;
+  }
+
+  // 由加载器挂载的组件实例：入口通过 import() 加载，页面中没有对应的 <script>
+  function hasMountedInstances(component) {
+    return Array.prototype.some.call(
+      document.querySelectorAll('[data-goose-mounted]'),
+      function(el) {
+        return el.getAttribute('data-goose-component') === component;
+      }
+    );
+  }
+
+  // 页面是否加载了该入口：执行过 import.meta.hot、由加载器挂载或存在对应的 <script>
+  function isEntryOnPage(entry) {
+    if (hotRecords.has(entry.component)) {
+      return true;
+    }
+    if (getComponentLoader() && hasMountedInstances(entry.component)) {
+      return true;
+    }
+    return Array.prototype.some.call(
+      document.querySelectorAll('script[type="module"][src]'),
+      function(script) {
+        return new URL(script.src, window.location.href).pathname === entry.previousUrl;
+      }
+    );
+  }
+
+  // 重新导入组件的新入口模块；未接受更新的组件由加载器按新入口重新挂载，无法重新挂载时整页重载
+  function applyJsUpdate(data) {
+    const loader = getComponentLoader();
+    const components = new Map();
+    (data.entries || []).filter(isEntryOnPage).forEach(function(entry) {
+      if (!components.has(entry.component)) {
+        components.set(entry.component, []);
+      }
+      components.get(entry.component).push(entry);
+    });
+
+    const remounts = [];
+    const rejected = [];
+    Array.from(components.keys()).forEach(function(component) {
+      const record = hotRecords.get(component);
+      if (record && record.accepted && !record.declined) {
+        return;
+      }
+      if (!(record && record.declined) && loader && hasMountedInstances(component)) {
+        remounts.push(component);
+        components.delete(component);
+        return;
+      }
+      rejected.push(component);
+    });
+    if (rejected.length > 0) {
+      log('组件未接受热替换: ' + rejected.join(', '), 'warn');
+      reloadPage(data);
+      return;
+    }
+
+    // 加载器缓存的清单仍指向旧入口，之后挂载的组件需要读取新清单
+    if (loader && (data.entries || []).length > 0) {
+      loader.refresh();
+    }
+
+    if ((data.stylesheets || []).length > 0) {
+      applyCssUpdate({ stylesheets: data.stylesheets, message: data.message });
+    }
+
+    remounts.forEach(function(component) {
+      loader.remount(component).then(function() {
+        log('已重新挂载组件: ' + component, 'success');
+      }).catch(function(error) {
+        log('重新挂载失败: ' + error.message, 'error');
+        reloadPage(data);
+      });
+    });
+
+    components.forEach(function(entries, component) {
+      const record = hotRecords.get(component);
+      const acceptCallbacks = record.acceptCallbacks;
+      const hotData = {};
+
+      record.disposeCallbacks.forEach(function(callback) {
+        callback(hotData);
+      });
+
+      // 新模块执行时会重新注册回调
+      record.accepted = false;
+      record.acceptCallbacks = [];
+      record.disposeCallbacks = [];
+      record.data = hotData;
+
+      Promise.all(entries.map(function(entry) {
+        return import(entry.url);
+      })).then(function(newModules) {
+        newModules.forEach(function(newModule) {
+          acceptCallbacks.forEach(function(callback) {
+            callback(newModule);
+          });
+        });
+        log('已热替换组件: ' + component, 'success');
+      }).catch(function(error) {
+        log('热替换失败: ' + error.message, 'error');
+        reloadPage(data);
+      });
+    });
+  }
+
+  function reloadPage(data) {
+    if (isReloading) return;
+    isReloading = true;
+
+    // 显示通知
+    showReloadNotification(data.message);
+
+    // 延迟重载，给用户看到通知的时间
+    setTimeout(() => {
+      window.location.reload();
+    }, 1000);
+  }
+
+  // 连接Socket.IO服务器
+  function connectSocket() {
+    if (typeof window.io !== 'function') {
+      log('Socket.IO 客户端未加载，热重载不可用', 'error');
+      return;
+    }
+
+    try {
+      log('尝试连接热重载服务...');
+
+      socket = window.io(`http://localhost:${config.socketPort}`, {
+        transports: ['websocket', 'polling'],
+        timeout: 5000,
+        forceNew: true
+      });
+
+      socket.on('connect', function() {
+        reconnectAttempts = 0;
+        log('热重载服务连接成功', 'success');
+      });
+
+      socket.on('connected', function(data) {
+        log(data.message || '已连接到热重载服务', 'success');
+      });
+
+      socket.on('theme_reload', function(data) {
+        hideBuildError();
+        log('收到重载通知: ' + (data.message || '资源已更新'), 'success');
+        reloadPage(data);
+      });
+
+      socket.on('css_update', function(data) {
+        hideBuildError();
+        applyCssUpdate(data);
+      });
+
+      socket.on('js_update', function(data) {
+        hideBuildError();
+        applyJsUpdate(data);
+      });
+
+      socket.on('build_error', function(data) {
+        log('构建失败: ' + (data.message || ''), 'error');
+        if (document.body) {
+          showBuildError(data);
+        } else {
+          document.addEventListener('DOMContentLoaded', function() {
+            showBuildError(data);
+          });
+        }
+      });
+
+      socket.on('server_shutdown', function(data) {
+        log('服务器即将关闭: ' + (data.message || ''), 'warn');
+      });
+
+      socket.on('disconnect', function(reason) {
+        log('热重载服务连接断开: ' + reason, 'warn');
+
+        // 如果不是客户端主动断开，尝试重连
+        if (reason !== 'io client disconnect' && reconnectAttempts < config.maxReconnectAttempts) {
+          setTimeout(() => {
+            reconnectAttempts++;
+            log(`尝试重连 (${reconnectAttempts}/${config.maxReconnectAttempts})...`);
+            connectSocket();
+          }, config.reconnectDelay);
+        }
+      });
+
+      socket.on('connect_error', function(error) {
+        log('连接错误: ' + error.message, 'error');
+      });
+
+    } catch (error) {
+      log('初始化Socket连接失败: ' + error.message, 'error');
+    }
+  }
+
+  // 页面加载完成后连接
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', connectSocket);
+  } else {
+    connectSocket();
+  }
+
+  // 页面卸载时断开连接
+  window.addEventListener('beforeunload', function() {
+    if (socket) {
+      socket.disconnect();
+    }
+  });
+
+})();
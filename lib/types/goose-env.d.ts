@@ -0,0 +1,43 @@
+// Hexo Goose Builder 为 TypeScript 组件提供的环境类型声明
+// hexo goose typecheck 会自动包含此文件；使用自定义 tsconfig.json 时请将其加入 include 或 files
+
+/** 组件热替换接口，仅在 hexo server 下可用，生产构建中为 undefined */
+interface GooseHotContext {
+  /** 在新旧模块之间保留的数据，由 dispose 回调写入 */
+  readonly data: Record<string, any>;
+  /** 接受自身更新，新模块执行后以新模块为参数调用 */
+  accept(callback?: (newModule: any) => void): void;
+  /** 旧模块被替换前调用 */
+  dispose(callback: (data: Record<string, any>) => void): void;
+  /** 拒绝热替换，更新时整页重载 */
+  decline(): void;
+  /** 放弃本次热替换并整页重载 */
+  invalidate(message?: string): void;
+}
+
+/** 构建时静态替换的环境变量，见 theme_builder.define 和 theme_builder.expose_theme_config */
+interface ImportMetaEnv {
+  /** 执行模式：server、generate 或 deploy */
+  readonly MODE: string;
+  /** 是否为 hexo server */
+  readonly DEV: boolean;
+  /** 是否为静态生成或部署 */
+  readonly PROD: boolean;
+  /** 站点根路径 */
+  readonly BASE_URL: string;
+  /** expose_theme_config 列出的主题配置项 */
+  readonly THEME: Record<string, any>;
+  /** theme_builder.define 中的值 */
+  readonly [key: string]: any;
+}
+
+interface ImportMeta {
+  readonly hot?: GooseHotContext;
+  readonly env: ImportMetaEnv;
+}
+
+// 组件样式由打包器提取为独立的 CSS 文件
+declare module '*.css';
+declare module '*.scss';
+declare module '*.sass';
+declare module '*.less';
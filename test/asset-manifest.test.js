@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const AssetManifest = require('../lib/asset-manifest');
+const { createManifest, removeManifest } = require('./helpers/manifest');
+
+test('setPipeline 记录文件大小、完整性、排序后的依赖和按导入顺序的样式', t => {
+  const manifest = createManifest({
+    js: [
+      { name: 'gallery/js/index.js', file: 'js/gallery.abc.js', type: 'js', content: 'export {};', component: 'gallery', entry: true, dependencies: ['z.js', 'a.js'], css: ['shared/1.css', 'gallery/js/index.css'] }
+    ]
+  });
+  t.after(() => removeManifest(manifest));
+
+  assert.deepEqual(manifest.get('gallery/js/index.js'), {
+    name: 'gallery/js/index.js',
+    file: 'js/gallery.abc.js',
+    type: 'js',
+    size: 10,
+    integrity: AssetManifest.computeIntegrity('export {};'),
+    component: 'gallery',
+    dependencies: ['a.js', 'z.js'],
+    css: ['shared/1.css', 'gallery/js/index.css'],
+    entry: true,
+    legacy: false,
+    mount: false,
+    sourcemap: null,
+    pipeline: 'js'
+  });
+});
+
+test('setPipeline 只替换同一管线的记录并返回不再输出的文件', t => {
+  const manifest = createManifest({
+    tailwind: [{ name: 'components.styles.css', file: 'css/components.styles.1.css', type: 'css' }],
+    js: [{ name: 'a.js', file: 'js/a.1.js', type: 'js', sourcemap: 'js/a.1.js.map' }]
+  });
+  t.after(() => removeManifest(manifest));
+
+  fs.writeFileSync(manifest.getAbsolutePath('js/a.2.js'), 'a');
+  const retired = manifest.setPipeline('js', [{ name: 'a.js', file: 'js/a.2.js', type: 'js' }]);
+
+  assert.deepEqual(retired, ['js/a.1.js', 'js/a.1.js.map']);
+  assert.deepEqual(manifest.getFiles(), ['js/a.2.js', 'css/components.styles.1.css']);
+  assert.deepEqual(manifest.takeRetiredFiles(), ['js/a.1.js', 'js/a.1.js.map']);
+  assert.deepEqual(manifest.takeRetiredFiles(), []);
+});
+
+test('保存的清单按名称排序，重新读取后内容相同', t => {
+  const manifest = createManifest({
+    js: [
+      { name: 'b.js', file: 'js/b.js', type: 'js', component: 'b', entry: true },
+      { name: 'a.js', file: 'js/a.js', type: 'js', component: 'a', entry: true }
+    ]
+  });
+  t.after(() => removeManifest(manifest));
+
+  manifest.save();
+  const saved = JSON.parse(fs.readFileSync(manifest.manifestPath, 'utf8'));
+  assert.deepEqual(Object.keys(saved.assets), ['a.js', 'b.js']);
+
+  const loaded = new AssetManifest(manifest.themeDir).load();
+  assert.deepEqual(loaded.getAssets(), manifest.getAssets());
+  assert.deepEqual(loaded.getComponents(), ['a', 'b']);
+});
+
+test('版本不匹配的清单视为空清单', t => {
+  const manifest = createManifest();
+  t.after(() => removeManifest(manifest));
+
+  fs.writeFileSync(manifest.manifestPath, JSON.stringify({ version: 0, assets: { 'a.js': {} } }));
+  assert.deepEqual(manifest.load().getAssets(), []);
+});
+
+test('getIntegrityOptions 忽略无效的算法和 crossorigin', () => {
+  assert.deepEqual(AssetManifest.getIntegrityOptions({}), { enable: true, algorithm: 'sha384', crossorigin: 'anonymous' });
+  assert.deepEqual(
+    AssetManifest.getIntegrityOptions({ theme_builder: { integrity: { enable: false, algorithm: 'MD5', crossorigin: 'Use-Credentials' } } }),
+    { enable: false, algorithm: 'sha384', crossorigin: 'use-credentials' }
+  );
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AssetTags = require('../lib/asset-tags');
+const { createManifest, removeManifest } = require('./helpers/manifest');
+
+// 两个组件共享一个静态依赖和一个样式文件，alpha 另有 nomodule 兼容脚本
+function createComponentManifest(t) {
+  const manifest = createManifest({
+    tailwind: [
+      { name: 'components.styles.css', file: 'css/components.styles.1.css', type: 'css' }
+    ],
+    js: [
+      { name: 'alpha/js/index.js', file: 'js/alpha.1.js', type: 'js', component: 'alpha', entry: true, dependencies: ['shared.js'], css: ['shared/1.css', 'alpha/js/index.css'] },
+      { name: 'beta/js/index.js', file: 'js/beta.1.js', type: 'js', component: 'beta', entry: true, dependencies: ['shared.js'], css: ['shared/1.css', 'beta/js/index.css'] },
+      { name: 'alpha/js/index.css', file: 'css/component.alpha.1.css', type: 'css', component: 'alpha' },
+      { name: 'beta/js/index.css', file: 'css/component.beta.1.css', type: 'css', component: 'beta' },
+      { name: 'shared/1.css', file: 'css/component.shared.1.css', type: 'css' },
+      { name: 'shared.js', file: 'js/shared.1.js', type: 'js', dependencies: ['vendor.js'] },
+      { name: 'vendor.js', file: 'js/vendor.1.js', type: 'js' },
+      { name: 'alpha/js/index.legacy.js', file: 'js/alpha.legacy.1.js', type: 'js', component: 'alpha', entry: true, legacy: true }
+    ]
+  });
+  t.after(() => removeManifest(manifest));
+  return manifest;
+}
+
+test('只输出指定组件的样式、入口脚本及其全部静态依赖，全局样式始终输出', t => {
+  const manifest = createComponentManifest(t);
+  const { tags, missing } = new AssetTags(manifest, { enable: false }).render(['beta']);
+
+  assert.deepEqual(tags, [
+    '<link rel="stylesheet" href="/css/component.shared.1.css">',
+    '<link rel="stylesheet" href="/css/component.beta.1.css">',
+    '<link rel="stylesheet" href="/css/components.styles.1.css">',
+    '<link rel="modulepreload" href="/js/shared.1.js">',
+    '<link rel="modulepreload" href="/js/vendor.1.js">',
+    '<script type="module" src="/js/beta.1.js"></script>'
+  ]);
+  assert.deepEqual(missing, []);
+});
+
+test('未指定组件时输出全部入口，兼容脚本使用 nomodule defer', t => {
+  const manifest = createComponentManifest(t);
+  const { tags } = new AssetTags(manifest, { enable: false }).render(null);
+
+  assert.deepEqual(tags.filter(tag => tag.startsWith('<script')), [
+    '<script type="module" src="/js/alpha.1.js"></script>',
+    '<script type="module" src="/js/beta.1.js"></script>',
+    '<script nomodule defer src="/js/alpha.legacy.1.js"></script>'
+  ]);
+});
+
+test('未指定组件时输出全部组件样式，共享样式只输出一次', t => {
+  const manifest = createComponentManifest(t);
+  const { tags } = new AssetTags(manifest, { enable: false }).render(null);
+
+  assert.deepEqual(tags.filter(tag => tag.includes('stylesheet')), [
+    '<link rel="stylesheet" href="/css/component.shared.1.css">',
+    '<link rel="stylesheet" href="/css/component.alpha.1.css">',
+    '<link rel="stylesheet" href="/css/component.beta.1.css">',
+    '<link rel="stylesheet" href="/css/components.styles.1.css">'
+  ]);
+});
+
+test('记录清单中不存在的组件', t => {
+  const manifest = createComponentManifest(t);
+  const { tags, missing } = new AssetTags(manifest, { enable: false }).render(['alpha', 'missing']);
+
+  assert.deepEqual(missing, ['missing']);
+  assert.ok(tags.includes('<script type="module" src="/js/alpha.1.js"></script>'));
+});
+
+test('标签带有站点 root、完整性属性和转义后的 nonce', t => {
+  const manifest = createComponentManifest(t);
+  const asset = manifest.get('beta/js/index.js');
+  const { tags } = new AssetTags(manifest, { root: '/blog', crossorigin: 'use-credentials', nonce: 'a"b' }).render(['beta']);
+
+  assert.equal(tags[tags.length - 1],
+    `<script type="module" src="/blog/js/beta.1.js" integrity="${asset.integrity}" crossorigin="use-credentials" nonce="a&quot;b"></script>`);
+});
+
+test('启用自动挂载时导出 mount 的入口由加载器代替，样式仍直接输出', t => {
+  const manifest = createManifest({
+    js: [
+      { name: 'alpha/js/index.js', file: 'js/alpha.1.js', type: 'js', component: 'alpha', entry: true, mount: true, css: ['alpha/js/index.css'] },
+      { name: 'alpha/js/index.css', file: 'css/component.alpha.1.css', type: 'css', component: 'alpha' },
+      { name: 'beta/js/index.js', file: 'js/beta.1.js', type: 'js', component: 'beta', entry: true },
+      { name: 'components.loader.js', file: 'js/components.loader.1.js', type: 'js' }
+    ]
+  });
+  t.after(() => removeManifest(manifest));
+
+  assert.deepEqual(new AssetTags(manifest, { enable: false }).render(null).tags, [
+    '<link rel="stylesheet" href="/css/component.alpha.1.css">',
+    '<script type="module" src="/js/beta.1.js"></script>',
+    '<script type="module" src="/js/components.loader.1.js"></script>'
+  ]);
+});
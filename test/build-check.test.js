@@ -0,0 +1,36 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BuildCheck } = require('../lib/commands/build-check');
+const AssetManifest = require('../lib/asset-manifest');
+const { createSite, createHexo, removeSite } = require('./helpers/site');
+
+test('测试主题连续两次构建的输出完全一致', async t => {
+  const dir = createSite();
+  t.after(() => removeSite(dir));
+
+  const hexo = await createHexo(dir, { cmd: 'goose', plugin: false });
+  const checker = new BuildCheck(hexo);
+
+  await checker.build();
+  const first = checker.snapshot();
+  await checker.build();
+  const second = checker.snapshot();
+  await hexo.exit();
+
+  const files = Object.keys(first);
+  assert.ok(files.includes(AssetManifest.FILE_NAME));
+  assert.ok(files.some(file => /^source\/css\/components\.styles\.[0-9a-f]+\.css$/.test(file)));
+  assert.ok(files.some(file => /^source\/js\/.+\.js$/.test(file)));
+  assert.deepEqual(checker.compare(first, second), []);
+});
+
+test('compare 报告缺失和内容不同的文件', () => {
+  const checker = new BuildCheck({});
+  assert.deepEqual(checker.compare({ a: '1', b: '1', c: '1' }, { a: '1', b: '2', d: '1' }), [
+    { file: 'b', reason: '内容不一致' },
+    { file: 'c', reason: '仅存在于第一次构建' },
+    { file: 'd', reason: '仅存在于第二次构建' }
+  ]);
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ChunkStrategy = require('../lib/js-bundler/chunk-strategy');
+
+const hexo = { theme_dir: '/theme', config: {} };
+
+test('分组产生的分块按分块名称命名，默认的框架和 Markdown 分块沿用之前的文件名', () => {
+  const strategy = new ChunkStrategy(undefined, hexo);
+  ['vendor-framework', 'vendor-markdown', 'vendor', 'shared', 'vendor-lodash'].forEach(name => strategy.chunkNames.add(name));
+
+  assert.equal(strategy.getChunkFileName({ name: 'vendor-framework' }), 'components.vendor.framework.[hash].js');
+  assert.equal(strategy.getChunkFileName({ name: 'vendor-markdown' }), 'components.vendor.markdown.[hash].js');
+  assert.equal(strategy.getChunkFileName({ name: 'vendor' }), 'components.vendor.[hash].js');
+  assert.equal(strategy.getChunkFileName({ name: 'shared' }), 'components.shared.[hash].js');
+  assert.equal(strategy.getChunkFileName({ name: 'vendor-lodash' }), 'components.vendor-lodash.[hash].js');
+});
+
+test('Rollup 自动拆出的分块使用通用名称', () => {
+  const strategy = new ChunkStrategy(undefined, hexo);
+  assert.equal(strategy.getChunkFileName({ name: 'label' }), 'components.[hash].chunk.js');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentRenderer = require('../lib/component-renderer');
+
+// 只提供 goose_component 用到的 Hexo 接口：主题视图查找和 partial
+function createRenderer(views = []) {
+  return new ComponentRenderer({ theme: { getView: view => views.includes(view) } });
+}
+
+function createContext(page = {}) {
+  return {
+    page,
+    partial: (view, locals) => `[${view} ${locals.title}]`
+  };
+}
+
+test('渲染组件模板并包裹 data-goose-component 元素', () => {
+  const renderer = createRenderer(['components/card/index.ejs']);
+  const html = renderer.render(createContext(), 'card', { title: '<A & "B">' }, { tag: 'section', load: 'idle', class: 'wide' });
+
+  assert.equal(html,
+    '<section data-goose-component="card" data-goose-props="{&quot;title&quot;:&quot;&lt;A &amp; \\&quot;B\\&quot;&gt;&quot;}" data-goose-load="idle" class="wide">' +
+    '[components/card/index.ejs <A & "B">]</section>');
+});
+
+test('同名模板优先于 index.ejs', () => {
+  const renderer = createRenderer(['components/card/card.ejs', 'components/card/index.ejs']);
+  assert.equal(renderer.findView('card'), 'components/card/card.ejs');
+  assert.equal(renderer.findView('missing'), null);
+});
+
+test('按页面记录使用的组件，保持首次使用顺序', () => {
+  const renderer = createRenderer();
+  const alpha = createContext({ title: 'alpha' });
+  const beta = createContext({ title: 'beta' });
+
+  renderer.render(alpha, 'b');
+  renderer.render(alpha, 'a');
+  renderer.render(alpha, 'b');
+  renderer.render(beta, 'c');
+
+  assert.deepEqual(renderer.getUsedComponents(alpha.page), ['b', 'a']);
+  assert.deepEqual(renderer.getUsedComponents(beta.page), ['c']);
+  assert.equal(renderer.getUsedComponents({}), null);
+});
+
+test('占位符替换为页面使用的组件的资源标签，并带回 nonce 选项', () => {
+  const renderer = createRenderer();
+  const page = {};
+  renderer.render(createContext(page), 'card');
+
+  const html = `<head>${ComponentRenderer.createPlaceholder({ nonce: 'n-->1' })}</head>`;
+  const calls = [];
+  const result = renderer.replacePlaceholders(html, { page }, (components, options) => {
+    calls.push({ components, options });
+    return '<tags>';
+  });
+
+  assert.equal(result, '<head><tags></head>');
+  assert.deepEqual(calls, [{ components: ['card'], options: { nonce: 'n-->1' } }]);
+});
+
+test('页面没有使用组件时占位符加载全部组件', () => {
+  const renderer = createRenderer();
+  let requested;
+  renderer.replacePlaceholders(ComponentRenderer.createPlaceholder(), { page: {} }, components => {
+    requested = components;
+    return '';
+  });
+  assert.equal(requested, null);
+});
+
+test('占位符替换时合并 HTML 中的组件标记（带缓存的 partial 不会再次调用助手）', () => {
+  const renderer = createRenderer();
+  const page = {};
+  renderer.render(createContext(page), 'card');
+
+  const html = `${ComponentRenderer.createPlaceholder()}<div data-goose-component="a&amp;b"></div><div data-goose-component="card"></div>`;
+  let requested;
+  renderer.replacePlaceholders(html, { page }, components => {
+    requested = components;
+    return '';
+  });
+  assert.deepEqual(requested, ['card', 'a&b']);
+});
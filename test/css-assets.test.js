@@ -0,0 +1,27 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BuildCheck } = require('../lib/commands/build-check');
+const AssetManifest = require('../lib/asset-manifest');
+const { createSite, createHexo, removeSite } = require('./helpers/site');
+
+test('组件样式中 url() 引用的资源以站点 root 为前缀', async t => {
+  const dir = createSite();
+  t.after(() => removeSite(dir));
+
+  const hexo = await createHexo(dir, { cmd: 'goose', plugin: false, config: { root: '/blog/' } });
+  await new BuildCheck(hexo).build();
+  await hexo.exit();
+
+  const manifest = AssetManifest.fromHexo(hexo);
+  const asset = manifest.get('shared/dot.svg');
+  assert.match(asset.file, /^css\/assets\/dot\.[0-9a-f]{8}\.svg$/);
+  assert.ok(fs.existsSync(manifest.getAbsolutePath(asset.file)));
+
+  const style = manifest.get('beta/js/index.css');
+  const css = fs.readFileSync(path.join(hexo.theme_dir, 'source', style.file), 'utf8');
+  assert.ok(css.includes(`url(/blog/${asset.file})`), css);
+});
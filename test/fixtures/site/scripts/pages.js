@@ -0,0 +1,9 @@
+'use strict';
+
+// alpha、beta 分别使用不同的组件，plain 不使用组件，listed 向 load_theme_assets 显式传入组件列表
+hexo.extend.generator.register('goose-fixture-pages', () => [
+  { path: 'alpha.html', layout: ['alpha'], data: { title: 'Alpha' } },
+  { path: 'beta.html', layout: ['beta'], data: { title: 'Beta' } },
+  { path: 'plain.html', layout: ['plain'], data: { title: 'Plain' } },
+  { path: 'listed.html', layout: ['listed'], data: { title: 'Listed' } }
+]);
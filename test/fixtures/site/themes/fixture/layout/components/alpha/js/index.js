@@ -0,0 +1,7 @@
+import '../../../../shared/base.css';
+import './alpha.css';
+import { label } from '../../../../shared/label.js';
+
+document.querySelectorAll('.alpha').forEach(element => {
+  element.setAttribute('aria-label', label('alpha'));
+});
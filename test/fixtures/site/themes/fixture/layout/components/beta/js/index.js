@@ -0,0 +1,7 @@
+import '../../../../shared/base.css';
+import './beta.css';
+import { label } from '../../../../shared/label.js';
+
+document.querySelectorAll('.beta').forEach(element => {
+  element.setAttribute('aria-label', label('beta'));
+});
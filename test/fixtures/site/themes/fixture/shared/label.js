@@ -0,0 +1,3 @@
+export function label(name) {
+  return `goose-${name}`;
+}
@@ -0,0 +1,37 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AssetManifest = require('../../lib/asset-manifest');
+
+/**
+ * 在临时主题目录中写入资源文件并记录到构建清单
+ * @param {Object<string, Array<Object>>} pipelines - 管线名称 → setPipeline 的资源列表，content 为文件内容（默认为 file）
+ * @param {Object} [options] - AssetManifest 选项
+ * @returns {AssetManifest}
+ */
+function createManifest(pipelines = {}, options = {}) {
+  const themeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-theme-'));
+  const manifest = new AssetManifest(themeDir, options);
+
+  Object.keys(pipelines).forEach(pipeline => {
+    pipelines[pipeline].forEach(entry => {
+      const filePath = manifest.getAbsolutePath(entry.file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, entry.content === undefined ? entry.file : entry.content);
+    });
+    manifest.setPipeline(pipeline, pipelines[pipeline]);
+  });
+
+  return manifest;
+}
+
+function removeManifest(manifest) {
+  fs.rmSync(manifest.themeDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  createManifest,
+  removeManifest
+};
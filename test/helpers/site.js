@@ -0,0 +1,71 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Hexo = require('hexo');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'site');
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const PLUGIN_PATH = path.join(ROOT_DIR, 'index.js');
+
+/**
+ * 将测试站点复制到临时目录，构建输出不会写入仓库
+ * 站点的 node_modules 链接到本仓库的依赖，TailwindCSS 从站点目录解析 @import "tailwindcss"
+ * @returns {string} 临时站点目录
+ */
+function createSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-site-'));
+  fs.cpSync(FIXTURE_DIR, dir, { recursive: true });
+  fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(dir, 'node_modules'), 'junction');
+  return dir;
+}
+
+/**
+ * 初始化测试站点的 Hexo 实例
+ * 插件在 init 之后加载，与 Hexo 从 node_modules 加载插件时一样可以读取站点和主题配置
+ * @param {string} dir - 站点目录
+ * @param {Object} [options]
+ * @param {string} [options.cmd='generate'] - 模拟的 Hexo 命令
+ * @param {Object} [options.config] - 覆盖站点配置
+ * @param {boolean} [options.plugin=true] - 是否加载本插件
+ * @returns {Promise<Hexo>}
+ */
+async function createHexo(dir, options = {}) {
+  const hexo = new Hexo(dir, { _: [options.cmd || 'generate'], silent: true });
+  await hexo.init();
+  Object.assign(hexo.config, options.config || {});
+
+  await hexo.loadPlugin(require.resolve('hexo-renderer-ejs'));
+  if (options.plugin !== false) {
+    await hexo.loadPlugin(PLUGIN_PATH);
+  }
+  return hexo;
+}
+
+/**
+ * 生成站点并返回 public 目录中的页面内容
+ * @param {Hexo} hexo
+ * @param {string[]} pages - 相对 public 目录的页面路径
+ * @returns {Promise<Object<string, string>>}
+ */
+async function generate(hexo, pages) {
+  await hexo.call('generate', {});
+  await hexo.exit();
+
+  return pages.reduce((result, page) => {
+    result[page] = fs.readFileSync(path.join(hexo.public_dir, page), 'utf8');
+    return result;
+  }, {});
+}
+
+function removeSite(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  createSite,
+  createHexo,
+  generate,
+  removeSite
+};
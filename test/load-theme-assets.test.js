@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const AssetManifest = require('../lib/asset-manifest');
+const { createSite, createHexo, generate, removeSite } = require('./helpers/site');
+
+// 页面中 <script> 和 <link> 标签引用的资源路径
+function getAssetUrls(html) {
+  return [...html.matchAll(/<(?:script|link)\b[^>]*?(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+}
+
+describe('load_theme_assets() 按页面使用的组件输出资源', () => {
+  let dir;
+  let pages;
+  let manifest;
+
+  before(async () => {
+    dir = createSite();
+    const hexo = await createHexo(dir);
+    pages = await generate(hexo, ['alpha.html', 'beta.html', 'plain.html', 'listed.html']);
+    manifest = AssetManifest.fromHexo(hexo);
+  });
+
+  after(() => removeSite(dir));
+
+  const entryUrl = component => `/${manifest.getAssets({ type: 'js', entry: true, legacy: false, component })[0].file}`;
+  const styleUrls = component => manifest.getAssets({ type: 'css', component }).map(asset => `/${asset.file}`);
+
+  it('每个页面只输出自己使用的组件入口', () => {
+    const alpha = getAssetUrls(pages['alpha.html']);
+    const beta = getAssetUrls(pages['beta.html']);
+
+    assert.ok(alpha.includes(entryUrl('alpha')));
+    assert.ok(!alpha.includes(entryUrl('beta')));
+    assert.ok(beta.includes(entryUrl('beta')));
+    assert.ok(!beta.includes(entryUrl('alpha')));
+  });
+
+  it('组件样式按入口拆分，每个页面只输出自己使用的组件样式', () => {
+    const alpha = getAssetUrls(pages['alpha.html']);
+    const beta = getAssetUrls(pages['beta.html']);
+    const shared = manifest.getAssets({ type: 'css', component: null, pipeline: 'js' });
+
+    assert.equal(styleUrls('alpha').length, 1);
+    assert.equal(styleUrls('beta').length, 1);
+    assert.equal(shared.length, 1);
+
+    styleUrls('alpha').forEach(url => assert.ok(alpha.includes(url) && !beta.includes(url)));
+    styleUrls('beta').forEach(url => assert.ok(beta.includes(url) && !alpha.includes(url)));
+    // 两个组件都导入的样式输出到共享文件，TailwindCSS 输出在每个页面都加载
+    [`/${shared[0].file}`, `/${manifest.get('components.styles.css').file}`].forEach(url => {
+      assert.ok(alpha.includes(url) && beta.includes(url));
+    });
+  });
+
+  it('组件样式文件只包含对应入口导入的样式', () => {
+    const read = name => fs.readFileSync(manifest.getAbsolutePath(manifest.get(name).file), 'utf8');
+    assert.match(read('alpha/js/index.css'), /\.alpha\{color:red\}/);
+    assert.doesNotMatch(read('alpha/js/index.css'), /\.beta\{/);
+    // 入口按导入顺序记录样式：先共享的 base.css，再组件自己的样式
+    const [sharedName, ownName] = manifest.get('alpha/js/index.js').css;
+    assert.match(sharedName, /^shared\/[0-9a-f]+\.css$/);
+    assert.equal(ownName, 'alpha/js/index.css');
+    assert.match(read(sharedName), /margin:0/);
+  });
+
+  it('页面没有使用组件时输出全部组件的样式和入口', () => {
+    const plain = getAssetUrls(pages['plain.html']);
+    ['alpha', 'beta'].forEach(component => {
+      assert.ok(plain.includes(entryUrl(component)));
+      styleUrls(component).forEach(url => assert.ok(plain.includes(url)));
+    });
+  });
+
+  it('显式传入的组件列表优先于页面记录的组件', () => {
+    const listed = getAssetUrls(pages['listed.html']);
+    assert.ok(listed.includes(entryUrl('beta')));
+    styleUrls('beta').forEach(url => assert.ok(listed.includes(url)));
+    assert.ok(!listed.includes(entryUrl('alpha')));
+    styleUrls('alpha').forEach(url => assert.ok(!listed.includes(url)));
+  });
+
+  it('占位符全部被替换', () => {
+    Object.values(pages).forEach(html => assert.ok(!html.includes('<!--goose:theme-assets')));
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MountLoader = require('../lib/js-bundler/mount-loader');
+const AssetManifest = require('../lib/asset-manifest');
+
+const FILES = {
+  'js/components.alpha.js': 'import "./components.label.js";',
+  'js/components.label.js': 'export const label = "alpha";',
+  'css/component.alpha.css': '.alpha{color:red}'
+};
+
+const ENTRIES = [
+  { name: 'alpha/js/index.js', file: 'js/components.alpha.js', type: 'js', component: 'alpha', entry: true, mount: true, dependencies: ['shared/label.js'], css: ['alpha/js/index.css'] },
+  { name: 'shared/label.js', file: 'js/components.label.js', type: 'js' }
+];
+
+const STYLES = [
+  { name: 'alpha/js/index.css', file: 'css/component.alpha.css', type: 'css', component: 'alpha' }
+];
+
+// 在临时 source 目录中写入组件文件，返回加载器使用的打包配置
+function createConfig(t, integrity) {
+  const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-loader-'));
+  t.after(() => fs.rmSync(sourceDir, { recursive: true, force: true }));
+
+  Object.keys(FILES).forEach(file => {
+    fs.mkdirSync(path.join(sourceDir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, file), FILES[file]);
+  });
+
+  return {
+    hexo: { config: { theme_builder: { integrity } } },
+    getJsDir: () => path.join(sourceDir, 'js')
+  };
+}
+
+function readOutput(config, records) {
+  const jsDir = config.getJsDir();
+  const loader = records.find(record => record.name === MountLoader.LOADER_NAME);
+  return {
+    loader: fs.readFileSync(path.join(jsDir, '..', loader.file), 'utf8'),
+    manifest: JSON.parse(fs.readFileSync(path.join(jsDir, MountLoader.MANIFEST_NAME), 'utf8'))
+  };
+}
+
+test('开启 integrity 时组件清单记录各文件的校验值并内联到加载器', t => {
+  const config = createConfig(t, { algorithm: 'sha256', crossorigin: 'use-credentials' });
+  const { loader, manifest } = readOutput(config, new MountLoader(config).generate(ENTRIES, STYLES));
+
+  assert.deepEqual(manifest.components.alpha, {
+    entry: 'components.alpha.js',
+    imports: ['components.label.js'],
+    css: ['../css/component.alpha.css']
+  });
+  assert.equal(manifest.crossorigin, 'use-credentials');
+  assert.deepEqual(manifest.integrity, {
+    '../css/component.alpha.css': AssetManifest.computeIntegrity(FILES['css/component.alpha.css'], 'sha256'),
+    'components.alpha.js': AssetManifest.computeIntegrity(FILES['js/components.alpha.js'], 'sha256'),
+    'components.label.js': AssetManifest.computeIntegrity(FILES['js/components.label.js'], 'sha256')
+  });
+  assert.ok(loader.includes(`const INLINE_MANIFEST = ${JSON.stringify(manifest)};`));
+});
+
+test('未开启 integrity 时加载器通过 fetch 读取组件清单', t => {
+  const config = createConfig(t, { enable: false });
+  const { loader, manifest } = readOutput(config, new MountLoader(config).generate(ENTRIES, STYLES));
+
+  assert.equal(manifest.integrity, undefined);
+  assert.equal(manifest.crossorigin, undefined);
+  assert.ok(loader.includes('const INLINE_MANIFEST = null;'));
+});
+
+test('加载器文件名的哈希随内联的清单变化', t => {
+  const config = createConfig(t, {});
+  const loader = new MountLoader(config);
+  const first = loader.generate(ENTRIES, STYLES)[0].file;
+
+  fs.writeFileSync(path.join(config.getJsDir(), 'components.label.js'), 'export const label = "beta";');
+  const second = loader.generate(ENTRIES, STYLES)[0].file;
+
+  assert.match(first, /^js\/components\.loader\.[0-9a-f]{8}\.js$/);
+  assert.notEqual(first, second);
+});